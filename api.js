@@ -0,0 +1,358 @@
+// api.js
+// REST API for driving the cluster from scripts: submit jobs, watch their progress,
+// cancel them and download their results.
+const express = require("express");
+const fs = require("fs");
+const path = require("path");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { summarizeTransfer } = require("./compression");
+
+// --- Helpers ---
+function toJobSummary(job, progress) {
+  return {
+    id: job.id,
+    name: job.name,
+    status: job.status,
+    inputPath: job.inputPath,
+    outputPath: job.outputPath,
+    operation: job.operation,
+    chunkSamples: job.chunkSamples,
+    chunking: job.chunking,
+    overlap: job.overlap,
+    sampleRate: job.sampleRate,
+    channels: job.channels,
+    layout: job.layout,
+    inputFormat: job.format,
+    verification: job.verification,
+    priority: job.priority,
+    placement: job.placement,
+    retry: job.retry,
+    finalization: job.finalization,
+    encryption: job.encryption,
+    failedChunks: job.failedChunks,
+    rejectedResults: job.rejectedResults,
+    totalFrames: job.totalFrames,
+    progress,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+  };
+}
+
+// Reads an optional JSON value from a query string parameter (used for uploads,
+// where the request body is the audio itself).
+function parseJsonQueryParam(value, name) {
+  if (value === undefined) return undefined;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Query parameter '${name}' must be valid JSON.`);
+  }
+}
+
+function parseIntegerParam(value, name) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`'${name}' must be a positive integer.`);
+  }
+  return number;
+}
+
+// Errors answered with a status other than 400
+function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+// Resolves a job's inputPath against inputDir and throws unless the file is inside it,
+// symlinks followed, so the API can't turn any file the server can read into a job result.
+function resolveInputPath(inputPath, inputDir) {
+  const resolved = path.resolve(inputDir, inputPath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Input file not found: ${inputPath}`);
+  }
+  const realPath = fs.realpathSync(resolved);
+  const realDir = fs.realpathSync(inputDir);
+  if (!realPath.startsWith(realDir + path.sep)) {
+    throw createHttpError(
+      403,
+      `Input files must be inside ${inputDir} (the server's inputDir).`
+    );
+  }
+  return resolved;
+}
+
+// Streams an uploaded raw file to generated_data/uploads so it is never held in memory.
+// Uploads larger than maxBytes are refused, and a failed upload leaves no file behind.
+async function saveUpload(req, uploadsDir, name, maxBytes) {
+  const declaredBytes = Number(req.headers["content-length"]);
+  if (declaredBytes > maxBytes) {
+    throw createHttpError(
+      413,
+      `Uploads are limited to ${maxBytes.toLocaleString()} bytes.`
+    );
+  }
+  fs.mkdirSync(uploadsDir, { recursive: true });
+  const safeName = path.basename(name || "upload.raw").replace(/[^\w.-]/g, "_");
+  const uploadPath = path.join(uploadsDir, `${Date.now()}-${safeName}`);
+  // Counts the bytes as they arrive, for uploads sent without a Content-Length
+  let receivedBytes = 0;
+  const limit = new Transform({
+    transform(chunk, _, callback) {
+      receivedBytes += chunk.length;
+      if (receivedBytes > maxBytes) {
+        callback(
+          createHttpError(
+            413,
+            `Uploads are limited to ${maxBytes.toLocaleString()} bytes.`
+          )
+        );
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+  try {
+    await pipeline(req, limit, fs.createWriteStream(uploadPath));
+  } catch (error) {
+    fs.rmSync(uploadPath, { force: true });
+    throw error;
+  }
+  return uploadPath;
+}
+
+// --- Router Factory ---
+// deps.taskManager    the task-manager module
+// deps.clients        Map of peerId -> WebSocket (connected clients)
+// deps.assignedTasks  Map of peerId -> Set of taskIds assigned to that peer
+// deps.transferStats  Map of peerId -> codec and sample bytes sent and received (see compression.js)
+// deps.inputDir       directory the inputPath of JSON jobs must be in; relative paths start there
+// deps.maxUploadBytes largest upload accepted
+function createApiRouter({
+  taskManager,
+  clients,
+  assignedTasks,
+  transferStats,
+  inputDir,
+  maxUploadBytes,
+}) {
+  const router = express.Router();
+  const uploadsDir = path.join(taskManager.GENERATED_FILES_DIR, "uploads");
+
+  // Which peers currently hold tasks of this job.
+  function getJobAssignments(jobId) {
+    const assignments = [];
+    for (const [peerId, taskIds] of assignedTasks.entries()) {
+      const jobTaskIds = Array.from(taskIds).filter((taskId) => {
+        const task = taskManager.tasks.get(taskId);
+        return task && task.jobId === jobId;
+      });
+      if (jobTaskIds.length > 0) {
+        const clientWs = clients.get(peerId);
+        assignments.push({
+          peerId,
+          nickname: clientWs ? clientWs.nickname : null,
+          taskIds: jobTaskIds,
+        });
+      }
+    }
+    return assignments;
+  }
+
+  function findJob(req, res) {
+    const job = taskManager.getJob(Number(req.params.id));
+    if (!job) {
+      res.status(404).json({ error: `Job #${req.params.id} not found.` });
+      return null;
+    }
+    return job;
+  }
+
+  // --- POST /jobs ---
+  // Either a JSON body pointing at a file in the server's inputDir:
+  //   { "inputPath": "...", "operation": {...}, "chunkSamples": 44100, "name": "...",
+  //     "channels": 2, "layout": "planar", "verification": { "mode": "sample", "fraction": 0.1 },
+  //     "chunking": { "mode": "adaptive", "targetSeconds": 2 },
+  //     "overlap": { "preRoll": 4410, "postRoll": 441, "mode": "crossfade" },
+  //     "priority": 10, "placement": { "minCores": 8 },
+  //     "retry": { "maxRetries": 5, "onFailure": "skip-chunk" },
+  //     "finalization": [{ "name": "normalize" }, { "name": "format", "params": { "container": "wav" } }],
+  //     "encryption": { "keySource": "recipient" } }
+  // or the raw file itself with Content-Type: application/octet-stream, and the options as
+  // query parameters: ?name=...&operation=<json>&chunkSamples=...&channels=...&layout=...&verification=<json>&chunking=<json>&overlap=<json>&priority=...&placement=<json>&retry=<json>&finalization=<json>&encryption=<json>
+  router.post("/jobs", express.json(), async (req, res) => {
+    let options;
+    try {
+      if (req.is("application/octet-stream")) {
+        options = {
+          name: req.query.name,
+          operation: parseJsonQueryParam(req.query.operation, "operation"),
+          chunkSamples: parseIntegerParam(
+            req.query.chunkSamples,
+            "chunkSamples"
+          ),
+          channels: parseIntegerParam(req.query.channels, "channels"),
+          layout: req.query.layout,
+          verification: parseJsonQueryParam(
+            req.query.verification,
+            "verification"
+          ),
+          chunking: parseJsonQueryParam(req.query.chunking, "chunking"),
+          overlap: parseJsonQueryParam(req.query.overlap, "overlap"),
+          // Any integer; checked by the task manager
+          priority:
+            req.query.priority === undefined
+              ? undefined
+              : Number(req.query.priority),
+          placement: parseJsonQueryParam(req.query.placement, "placement"),
+          retry: parseJsonQueryParam(req.query.retry, "retry"),
+          finalization: parseJsonQueryParam(
+            req.query.finalization,
+            "finalization"
+          ),
+          encryption: parseJsonQueryParam(req.query.encryption, "encryption"),
+        };
+        options.inputPath = await saveUpload(
+          req,
+          uploadsDir,
+          req.query.name,
+          maxUploadBytes
+        );
+      } else {
+        const body = req.body || {};
+        if (typeof body.inputPath !== "string") {
+          throw new Error(
+            "Provide 'inputPath' in a JSON body or upload the file as application/octet-stream."
+          );
+        }
+        options = {
+          name: body.name,
+          inputPath: resolveInputPath(body.inputPath, inputDir),
+          operation: body.operation,
+          chunkSamples: parseIntegerParam(body.chunkSamples, "chunkSamples"),
+          channels: parseIntegerParam(body.channels, "channels"),
+          layout: body.layout,
+          verification: body.verification,
+          chunking: body.chunking,
+          overlap: body.overlap,
+          priority: body.priority,
+          placement: body.placement,
+          retry: body.retry,
+          finalization: body.finalization,
+          encryption: body.encryption,
+        };
+      }
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+      return;
+    }
+
+    // Leave out unset options so the task manager defaults apply
+    for (const key of Object.keys(options)) {
+      if (options[key] === undefined) delete options[key];
+    }
+
+    let job;
+    try {
+      job = taskManager.addJob(options);
+    } catch (error) {
+      if (req.is("application/octet-stream")) {
+        fs.rmSync(options.inputPath, { force: true }); // Don't keep uploads of rejected jobs
+      }
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    console.log(`🌐 Job #${job.id} submitted through the REST API.`);
+    res.status(201).json(toJobSummary(job, taskManager.getJobProgress(job.id)));
+  });
+
+  // --- GET /jobs ---
+  router.get("/jobs", (_, res) => {
+    const jobs = Array.from(taskManager.jobs.values()).map((job) =>
+      toJobSummary(job, taskManager.getJobProgress(job.id))
+    );
+    res.json(jobs);
+  });
+
+  // --- GET /jobs/:id ---
+  router.get("/jobs/:id", (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    res.json({
+      ...toJobSummary(job, taskManager.getJobProgress(job.id)),
+      assignments: getJobAssignments(job.id),
+    });
+  });
+
+  // --- POST /jobs/:id/cancel ---
+  router.post("/jobs/:id/cancel", (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+
+    // Cancelling drops the job's tasks, which also takes them off the clients' windows
+    // (see setTasksReleasedHandler in server.js)
+    if (!taskManager.cancelJob(job.id)) {
+      res
+        .status(409)
+        .json({ error: `Job #${job.id} is already ${job.status}.` });
+      return;
+    }
+    console.log(`🌐 Job #${job.id} cancelled through the REST API.`);
+    res.json(toJobSummary(job, taskManager.getJobProgress(job.id)));
+  });
+
+  // --- GET /clients ---
+  // Connected clients, plus every client flagged for sending back bad results. `transfer`
+  // shows the client's compression codec and the bytes it saved.
+  router.get("/clients", (_, res) => {
+    const peerIds = new Set([
+      ...clients.keys(),
+      ...taskManager.peerReports.keys(),
+    ]);
+    const summaries = Array.from(peerIds)
+      .sort((a, b) => a - b)
+      .map((peerId) => {
+        const clientWs = clients.get(peerId);
+        return {
+          peerId,
+          nickname: clientWs ? clientWs.nickname : null,
+          connected: Boolean(clientWs),
+          concurrency: clientWs ? clientWs.concurrency : null,
+          capabilities: taskManager.peerCapabilities.get(peerId) || null,
+          assignedTasks: assignedTasks.has(peerId)
+            ? Array.from(assignedTasks.get(peerId))
+            : [],
+          transfer: transferStats.has(peerId)
+            ? summarizeTransfer(transferStats.get(peerId))
+            : null,
+          flagged: taskManager.isPeerFlagged(peerId),
+          report: taskManager.peerReports.get(peerId) || null,
+        };
+      });
+    res.json(summaries);
+  });
+
+  // --- GET /jobs/:id/result ---
+  router.get("/jobs/:id/result", (req, res) => {
+    const job = findJob(req, res);
+    if (!job) return;
+    if (job.status !== taskManager.JobStatus.COMPLETED) {
+      res.status(409).json({
+        error: `Job #${job.id} is ${job.status}; its result is not available.`,
+      });
+      return;
+    }
+    res.download(
+      job.outputPath,
+      `job-${job.id}-${path.basename(job.outputPath)}`
+    );
+  });
+
+  return router;
+}
+
+module.exports = { createApiRouter };
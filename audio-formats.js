@@ -0,0 +1,393 @@
+// audio-formats.js
+// Reads WAV and AIFF/AIFC headers and converts their samples to the float32 format the
+// cluster works with, and writes WAV headers for output. Files without a recognised
+// header are treated as headerless little-endian float32 ("raw"), the original input
+// format.
+const fs = require("fs");
+
+const FLOAT_SIZE = 4;
+
+// How the channels of a multi-channel chunk are laid out in a buffer:
+//   interleaved - frame by frame: L0 R0 L1 R1 ...
+//   planar      - channel by channel: L0 L1 ... R0 R1 ...
+const ChannelLayout = {
+  INTERLEAVED: "interleaved",
+  PLANAR: "planar",
+};
+
+// --- Helpers ---
+function readBytes(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.slice(0, bytesRead);
+}
+
+// AIFF stores the sample rate as an 80-bit IEEE 754 extended precision float.
+function readExtendedFloat(buffer, offset) {
+  const signAndExponent = buffer.readUInt16BE(offset);
+  const sign = signAndExponent & 0x8000 ? -1 : 1;
+  const exponent = signAndExponent & 0x7fff;
+  const mantissaHigh = buffer.readUInt32BE(offset + 2);
+  const mantissaLow = buffer.readUInt32BE(offset + 6);
+
+  if (exponent === 0 && mantissaHigh === 0 && mantissaLow === 0) return 0;
+  const mantissa = mantissaHigh * 0x100000000 + mantissaLow;
+  return sign * mantissa * Math.pow(2, exponent - 16383 - 63);
+}
+
+function checkSampleFormat(format, filePath) {
+  const supported =
+    (format.sampleFormat === "int" && [16, 24, 32].includes(format.bitDepth)) ||
+    (format.sampleFormat === "float" && [32, 64].includes(format.bitDepth));
+  if (!supported) {
+    throw new Error(
+      `Unsupported sample format in ${filePath}: ${format.bitDepth}-bit ${format.sampleFormat}`
+    );
+  }
+  if (!format.channels || !format.sampleRate) {
+    throw new Error(`Missing channel count or sample rate in ${filePath}`);
+  }
+}
+
+// Iterates over the chunks of a RIFF (little-endian) or IFF (big-endian) file.
+function* iterateChunks(fd, fileSize, firstChunkOffset, bigEndian) {
+  let offset = firstChunkOffset;
+  while (offset + 8 <= fileSize) {
+    const header = readBytes(fd, offset, 8);
+    const id = header.toString("ascii", 0, 4);
+    const size = bigEndian ? header.readUInt32BE(4) : header.readUInt32LE(4);
+    yield { id, offset: offset + 8, size };
+    offset += 8 + size + (size % 2); // Chunks are padded to an even size
+  }
+}
+
+// --- WAV ---
+const WAVE_FORMAT_PCM = 0x0001;
+const WAVE_FORMAT_IEEE_FLOAT = 0x0003;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+function readWavInfo(fd, fileSize, filePath) {
+  let format = null;
+  for (const chunk of iterateChunks(fd, fileSize, 12, false)) {
+    if (chunk.id === "fmt ") {
+      const fmt = readBytes(fd, chunk.offset, Math.min(chunk.size, 40));
+      let formatTag = fmt.readUInt16LE(0);
+      if (formatTag === WAVE_FORMAT_EXTENSIBLE && fmt.length >= 26) {
+        formatTag = fmt.readUInt16LE(24); // First two bytes of the SubFormat GUID
+      }
+      if (
+        formatTag !== WAVE_FORMAT_PCM &&
+        formatTag !== WAVE_FORMAT_IEEE_FLOAT
+      ) {
+        throw new Error(
+          `Unsupported WAV encoding 0x${formatTag.toString(16)} in ${filePath}`
+        );
+      }
+      format = {
+        container: "wav",
+        sampleFormat: formatTag === WAVE_FORMAT_IEEE_FLOAT ? "float" : "int",
+        channels: fmt.readUInt16LE(2),
+        sampleRate: fmt.readUInt32LE(4),
+        bitDepth: fmt.readUInt16LE(14),
+        bigEndian: false,
+      };
+    } else if (chunk.id === "data") {
+      if (!format) {
+        throw new Error(`WAV 'data' chunk before 'fmt ' chunk in ${filePath}`);
+      }
+      format.dataOffset = chunk.offset;
+      // Streamed WAVs may leave the size at 0 or 0xFFFFFFFF; use the rest of the file then
+      format.dataLength =
+        chunk.size === 0 || chunk.offset + chunk.size > fileSize
+          ? fileSize - chunk.offset
+          : chunk.size;
+      return format;
+    }
+  }
+  throw new Error(`No 'fmt ' and 'data' chunks found in ${filePath}`);
+}
+
+// Header of a WAV file holding `frames` frames of 32-bit float or, with encoding "int16",
+// 16-bit integer samples; the samples follow it, interleaved. Throws when they don't fit
+// in a WAV file (4 GB).
+function createWavHeader({
+  sampleRate,
+  channels,
+  frames,
+  encoding = "float32",
+}) {
+  const bytesPerSample = encoding === "int16" ? 2 : FLOAT_SIZE;
+  const blockAlign = channels * bytesPerSample;
+  const dataLength = frames * blockAlign;
+  const header = Buffer.alloc(58);
+  if (header.length - 8 + dataLength > 0xffffffff) {
+    throw new Error(
+      `${frames.toLocaleString()} frames of ${channels} channel(s) don't fit in a WAV file.`
+    );
+  }
+  header.write("RIFF", 0, "ascii");
+  header.writeUInt32LE(header.length - 8 + dataLength, 4);
+  header.write("WAVE", 8, "ascii");
+  header.write("fmt ", 12, "ascii");
+  header.writeUInt32LE(18, 16);
+  header.writeUInt16LE(
+    encoding === "int16" ? WAVE_FORMAT_PCM : WAVE_FORMAT_IEEE_FLOAT,
+    20
+  );
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bytesPerSample * 8, 34);
+  header.writeUInt16LE(0, 36); // cbSize
+  // Float WAV files need a 'fact' chunk with the frame count; PCM ones may have one
+  header.write("fact", 38, "ascii");
+  header.writeUInt32LE(4, 42);
+  header.writeUInt32LE(frames, 46);
+  header.write("data", 50, "ascii");
+  header.writeUInt32LE(dataLength, 54);
+  return header;
+}
+
+// --- AIFF / AIFC ---
+function readAiffInfo(fd, fileSize, filePath, isAifc) {
+  let format = null;
+  for (const chunk of iterateChunks(fd, fileSize, 12, true)) {
+    if (chunk.id === "COMM") {
+      const comm = readBytes(fd, chunk.offset, Math.min(chunk.size, 22));
+      format = {
+        container: "aiff",
+        sampleFormat: "int",
+        channels: comm.readUInt16BE(0),
+        sampleRate: Math.round(readExtendedFloat(comm, 8)),
+        bitDepth: comm.readUInt16BE(6),
+        bigEndian: true,
+      };
+
+      if (isAifc && comm.length >= 22) {
+        const compression = comm.toString("ascii", 18, 22);
+        if (compression === "sowt") {
+          format.bigEndian = false; // Byte-swapped (little-endian) PCM
+        } else if (compression === "fl32" || compression === "FL32") {
+          format.sampleFormat = "float";
+          format.bitDepth = 32;
+        } else if (compression === "fl64" || compression === "FL64") {
+          format.sampleFormat = "float";
+          format.bitDepth = 64;
+        } else if (compression !== "NONE") {
+          throw new Error(
+            `Unsupported AIFC compression '${compression}' in ${filePath}`
+          );
+        }
+      }
+    } else if (chunk.id === "SSND") {
+      if (!format) {
+        throw new Error(`AIFF 'SSND' chunk before 'COMM' chunk in ${filePath}`);
+      }
+      const ssndHeader = readBytes(fd, chunk.offset, 8);
+      const dataOffset = ssndHeader.readUInt32BE(0); // Usually 0
+      format.dataOffset = chunk.offset + 8 + dataOffset;
+      format.dataLength = Math.min(
+        chunk.size - 8 - dataOffset,
+        fileSize - format.dataOffset
+      );
+      return format;
+    }
+  }
+  throw new Error(`No 'COMM' and 'SSND' chunks found in ${filePath}`);
+}
+
+// --- Public API ---
+// Describes the samples in an input file:
+// { container, sampleFormat, bitDepth, channels, sampleRate, bigEndian, dataOffset, dataLength }
+// Raw files have no header, so their sample rate and channel count come from `defaults`.
+function readAudioInfo(filePath, defaults = {}) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const fileSize = fs.fstatSync(fd).size;
+    const header = readBytes(fd, 0, 12);
+    const magic = header.length === 12 ? header.toString("ascii", 0, 4) : "";
+    const type = header.length === 12 ? header.toString("ascii", 8, 12) : "";
+
+    let format;
+    if (magic === "RIFF" && type === "WAVE") {
+      format = readWavInfo(fd, fileSize, filePath);
+    } else if (magic === "FORM" && (type === "AIFF" || type === "AIFC")) {
+      format = readAiffInfo(fd, fileSize, filePath, type === "AIFC");
+    } else {
+      format = {
+        container: "raw",
+        sampleFormat: "float",
+        bitDepth: 32,
+        channels: defaults.channels || 1,
+        sampleRate: defaults.sampleRate,
+        bigEndian: false,
+        dataOffset: 0,
+        dataLength: fileSize,
+      };
+    }
+
+    checkSampleFormat(format, filePath);
+    // Ignore a trailing partial frame
+    format.dataLength -= format.dataLength % getBytesPerFrame(format);
+    return format;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Converts the raw sample bytes of a file (as described by readAudioInfo) to float32.
+function decodeSamples(buffer, format) {
+  const bytesPerSample = format.bitDepth / 8;
+  const sampleCount = Math.floor(buffer.length / bytesPerSample);
+  const samples = new Float32Array(sampleCount);
+  const be = format.bigEndian;
+
+  if (format.sampleFormat === "float") {
+    for (let i = 0; i < sampleCount; i++) {
+      const offset = i * bytesPerSample;
+      if (bytesPerSample === 4) {
+        samples[i] = be
+          ? buffer.readFloatBE(offset)
+          : buffer.readFloatLE(offset);
+      } else {
+        samples[i] = be
+          ? buffer.readDoubleBE(offset)
+          : buffer.readDoubleLE(offset);
+      }
+    }
+    return samples;
+  }
+
+  const scale = Math.pow(2, format.bitDepth - 1);
+  for (let i = 0; i < sampleCount; i++) {
+    const offset = i * bytesPerSample;
+    let value;
+    if (bytesPerSample === 2) {
+      value = be ? buffer.readInt16BE(offset) : buffer.readInt16LE(offset);
+    } else if (bytesPerSample === 3) {
+      value = be ? buffer.readIntBE(offset, 3) : buffer.readIntLE(offset, 3);
+    } else {
+      value = be ? buffer.readInt32BE(offset) : buffer.readInt32LE(offset);
+    }
+    samples[i] = value / scale;
+  }
+  return samples;
+}
+
+function getBytesPerFrame(format) {
+  return (format.bitDepth / 8) * format.channels;
+}
+
+function getFrameCount(format) {
+  return format.dataLength / getBytesPerFrame(format);
+}
+
+// Reads `frames` frames starting at frame `frameOffset` from a file (as described by
+// readAudioInfo) and returns them as an interleaved little-endian float32 Buffer.
+// Only the requested range is read, so large inputs never have to fit in memory.
+function readFrames(filePath, format, frameOffset, frames) {
+  const bytesPerFrame = getBytesPerFrame(format);
+  const fd = fs.openSync(filePath, "r");
+  let data;
+  try {
+    data = readBytes(
+      fd,
+      format.dataOffset + frameOffset * bytesPerFrame,
+      frames * bytesPerFrame
+    );
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // Headerless float32 LE is already in the internal format
+  if (
+    format.sampleFormat === "float" &&
+    format.bitDepth === 32 &&
+    !format.bigEndian
+  ) {
+    return data;
+  }
+
+  const samples = decodeSamples(data, format);
+  return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+}
+
+// --- Channel Layouts ---
+// Views a Buffer of float32 samples as a Float32Array, copying it when its offset
+// is not 4-byte aligned (e.g. samples that follow a variable-length header).
+function bufferToFloat32(buffer) {
+  if (buffer.byteOffset % FLOAT_SIZE === 0) {
+    return new Float32Array(
+      buffer.buffer,
+      buffer.byteOffset,
+      buffer.byteLength / FLOAT_SIZE
+    );
+  }
+  const samples = new Float32Array(buffer.byteLength / FLOAT_SIZE);
+  new Uint8Array(samples.buffer).set(buffer);
+  return samples;
+}
+
+function float32ToBuffer(samples) {
+  return Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength);
+}
+
+// Splits a chunk into one Float32Array per channel.
+function splitChannels(samples, channels, layout) {
+  const frames = samples.length / channels;
+  const channelData = [];
+  for (let c = 0; c < channels; c++) {
+    if (layout === ChannelLayout.PLANAR) {
+      channelData.push(samples.subarray(c * frames, (c + 1) * frames));
+    } else {
+      const channel = new Float32Array(frames);
+      for (let i = 0; i < frames; i++) {
+        channel[i] = samples[i * channels + c];
+      }
+      channelData.push(channel);
+    }
+  }
+  return channelData;
+}
+
+// Inverse of splitChannels: joins per-channel arrays into a single chunk in `layout`.
+function joinChannels(channelData, layout) {
+  const channels = channelData.length;
+  if (channels === 1) return channelData[0];
+
+  const frames = channelData[0].length;
+  const samples = new Float32Array(frames * channels);
+  for (let c = 0; c < channels; c++) {
+    if (layout === ChannelLayout.PLANAR) {
+      samples.set(channelData[c], c * frames);
+    } else {
+      const channel = channelData[c];
+      for (let i = 0; i < frames; i++) {
+        samples[i * channels + c] = channel[i];
+      }
+    }
+  }
+  return samples;
+}
+
+// Converts a chunk between layouts (returns the input when they are the same).
+function convertLayout(samples, channels, fromLayout, toLayout) {
+  if (channels === 1 || fromLayout === toLayout) return samples;
+  return joinChannels(splitChannels(samples, channels, fromLayout), toLayout);
+}
+
+module.exports = {
+  FLOAT_SIZE,
+  ChannelLayout,
+  readAudioInfo,
+  createWavHeader,
+  decodeSamples,
+  getFrameCount,
+  readFrames,
+  bufferToFloat32,
+  float32ToBuffer,
+  splitChannels,
+  joinChannels,
+  convertLayout,
+};
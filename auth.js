@@ -0,0 +1,85 @@
+// auth.js
+// Client authentication for the WebSocket handshake (see protocol.js).
+// The server sends every new connection a random challenge; the client answers with
+// HMAC-SHA256(secret, "<challenge>:<clientId>"), proving it knows the secret configured
+// for its client id without ever sending the secret itself.
+//
+// Server credentials come from the server configuration (see config.js), either
+//   credentialsFile  path to a JSON file: { "<clientId>": "<secret>", ... }
+//   credentials      "<clientId>:<secret>,<clientId>:<secret>"
+// When neither is set, authentication is disabled and any client may connect.
+// Clients take their identity from the `id` and `secret` client settings.
+const crypto = require("crypto");
+const fs = require("fs");
+
+const CHALLENGE_BYTES = 32;
+
+// Returns a Map of clientId -> secret, or null when authentication is disabled.
+// Throws if the configured credentials cannot be read.
+function loadCredentials({ credentialsFile, credentials: inline }) {
+  let entries = null;
+  if (credentialsFile) {
+    const parsed = JSON.parse(fs.readFileSync(credentialsFile, "utf8"));
+    if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+      throw new Error(
+        `${credentialsFile} must contain a JSON object of clientId -> secret.`
+      );
+    }
+    entries = Object.entries(parsed);
+  } else if (inline) {
+    entries = inline.split(",").map((pair) => {
+      const separator = pair.indexOf(":");
+      if (separator <= 0) {
+        throw new Error(
+          `Inline credentials must look like '<clientId>:<secret>,...'.`
+        );
+      }
+      return [pair.slice(0, separator).trim(), pair.slice(separator + 1)];
+    });
+  }
+  if (entries === null) return null;
+
+  const credentials = new Map();
+  for (const [clientId, secret] of entries) {
+    if (typeof secret !== "string" || secret.length === 0) {
+      throw new Error(`Client '${clientId}' has an empty secret.`);
+    }
+    credentials.set(clientId, secret);
+  }
+  return credentials;
+}
+
+function createChallenge() {
+  return crypto.randomBytes(CHALLENGE_BYTES).toString("hex");
+}
+
+function computeProof(secret, challenge, clientId) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${challenge}:${clientId}`)
+    .digest("hex");
+}
+
+// True when `proof` answers `challenge` with the secret configured for `clientId`.
+function verifyProof(credentials, clientId, challenge, proof) {
+  if (typeof clientId !== "string" || typeof proof !== "string") return false;
+  const secret = credentials.get(clientId);
+  if (!secret) return false;
+
+  const expected = Buffer.from(
+    computeProof(secret, challenge, clientId),
+    "hex"
+  );
+  const received = Buffer.from(proof, "hex");
+  return (
+    received.length === expected.length &&
+    crypto.timingSafeEqual(received, expected)
+  );
+}
+
+module.exports = {
+  loadCredentials,
+  createChallenge,
+  computeProof,
+  verifyProof,
+};
@@ -1,40 +1,138 @@
 // client.js
 const WebSocket = require("ws");
+const fs = require("fs");
 const path = require("path");
 const crypto = require("crypto");
+const protocol = require("./protocol");
+const auth = require("./auth");
+const os = require("os");
+const { getConfig, printConfig } = require("./config");
+const { createWorkerPool } = require("./worker-pool");
+const { measureThroughput } = require("./task-worker");
+const operations = require("./operations");
+const compression = require("./compression");
+const { FLOAT_SIZE } = require("./audio-formats");
+const { MessageType } = protocol;
 
 // --- Configuration Constants ---
-const SERVER_URL = "ws://localhost:3000";
-const CLIENT_NICKNAME = "MyNodeClient_" + Math.floor(Math.random() * 1000);
-
-// --- Binary Protocol Command IDs ---
-const CLIENT_COMMAND_HANDSHAKE = 0;
-const CLIENT_COMMAND_REQUEST_TASK = 1;
-const CLIENT_COMMAND_SUBMIT_RESULT = 2;
-
-const SERVER_COMMAND_TYPE_TASK_DATA = 100;
-const SERVER_COMMAND_TYPE_STATUS_MESSAGE = 101;
+// Set in a config file, CLUSTER_* environment variables or flags such as --server-url,
+// --id and --nickname (see config.js)
+const config = getConfig("client");
+printConfig("client");
+// Use wss://<host>:<port> for a server with TLS enabled
+const SERVER_URL = config.serverUrl;
+// TLS options for wss:// URLs:
+//   tlsCa                   CA bundle (or the server's self-signed certificate) to trust
+//   tlsFingerprint          pin the server certificate's SHA-256 fingerprint ("AB:CD:...")
+//   tlsRejectUnauthorized   false skips certificate verification (testing only)
+const TLS_CA_PATH = config.tlsCa;
+const TLS_FINGERPRINT = config.tlsFingerprint;
+const TLS_REJECT_UNAUTHORIZED = config.tlsRejectUnauthorized;
+const CLIENT_NICKNAME =
+  config.nickname || "MyNodeClient_" + Math.floor(Math.random() * 1000);
+// Identity used to answer the server's challenge when it requires authentication (see auth.js)
+const CLIENT_ID = config.id;
+const CLIENT_SECRET = config.secret;
+// Tasks are processed in parallel on WORKER_COUNT threads. The client keeps up to
+// TASK_WINDOW tasks in flight: one per worker plus `prefetch` more waiting in the
+// queue, so a worker never sits idle while the next chunk travels over the network.
+const WORKER_COUNT = config.workers || os.availableParallelism();
+const TASK_WINDOW = WORKER_COUNT + config.prefetch;
+// Codecs offered in the handshake, preferred first (see compression.js). The server picks
+// one of them, or none, for the samples of tasks and results.
+const COMPRESSION_OFFER =
+  config.compression === "none"
+    ? []
+    : [
+        config.compression,
+        ...compression
+          .listCodecs()
+          .filter((codec) => codec !== config.compression),
+      ];
 
 // --- Client State Variables ---
 let ws = null;
 let peerId = null;
-let isProcessing = false;
+let rejected = false; // Set when the server refuses us (e.g. protocol version mismatch)
+const inFlightTasks = new Set(); // Task IDs received and not yet processed
+// Results finished while disconnected, submitted if the session is resumed.
+// Key: taskId, Value: worker output (see task-worker.js)
+const offlineResults = new Map();
+// Token for resuming our session after a dropped connection (see sessions.js)
+let sessionToken = null;
+let sessionNumber = 0; // Incremented whenever the server starts a new session for us
+let requestedTasks = 0; // Tasks asked for that the server has not answered yet
+let heartbeatTimer = null; // Fires when the server has stopped pinging us (see watchHeartbeats)
+// The codec the server picked and the sample bytes we sent and received, before and
+// after compression
+const transferStats = compression.createTransferStats();
+// Intervals without a ping from the server after which the connection is given up
+const HEARTBEAT_TOLERANCE = 2.5;
+const workerPool = createWorkerPool(WORKER_COUNT);
+// Sent in the handshake so the server can pick jobs and chunk sizes that suit this machine
+const CAPABILITIES = {
+  cores: os.availableParallelism(),
+  workers: WORKER_COUNT,
+  framesPerSecond: measureThroughput(),
+  operations: operations.listOperations(),
+};
+console.log(
+  `⏱️ Benchmark: ${CAPABILITIES.framesPerSecond.toLocaleString()} frames/s per worker, ${
+    CAPABILITIES.cores
+  } core(s).`
+);
+
+// --- Helper function to build the TLS options for wss:// connections ---
+function getConnectionOptions() {
+  if (!SERVER_URL.startsWith("wss://")) return {};
+
+  // A pinned fingerprint replaces CA verification, so it also works for self-signed
+  // certificates (it is checked in checkPinnedCertificate once the connection is up)
+  const options = {
+    rejectUnauthorized: TLS_REJECT_UNAUTHORIZED && !TLS_FINGERPRINT,
+  };
+  if (TLS_CA_PATH) {
+    options.ca = fs.readFileSync(TLS_CA_PATH);
+  }
+  if (!TLS_REJECT_UNAUTHORIZED && !TLS_FINGERPRINT) {
+    console.warn(
+      "⚠️ Server certificate verification is disabled (tlsRejectUnauthorized: false)."
+    );
+  }
+  return options;
+}
+
+// --- Helper function to check the server certificate against the pinned fingerprint ---
+// Returns false (and closes the connection) when it doesn't match.
+function checkPinnedCertificate(response) {
+  if (!TLS_FINGERPRINT || !response.socket.getPeerCertificate) return true;
 
-// --- Audio Data Constants ---
-const SAMPLE_RATE = 44100;
-const FLOAT_SIZE = 4;
-// These should match task-manager.js for consistent chunking
-const CHUNK_SAMPLES = SAMPLE_RATE / 10; // 0.1 second chunks for faster processing visually
-const CHUNK_BYTES = CHUNK_SAMPLES * FLOAT_SIZE;
+  const certificate = response.socket.getPeerCertificate();
+  if (
+    certificate.fingerprint256 &&
+    certificate.fingerprint256.toUpperCase() === TLS_FINGERPRINT.toUpperCase()
+  ) {
+    return true;
+  }
+  console.error(
+    `⛔ Server certificate fingerprint ${certificate.fingerprint256} does not match the pinned ${TLS_FINGERPRINT}. Disconnecting.`
+  );
+  rejected = true; // Reconnecting would reach the same server
+  ws.terminate();
+  return false;
+}
 
 // --- WebSocket Connection Function ---
 function connectToServer() {
   console.log(`Attempting to connect to ${SERVER_URL}...`);
-  ws = new WebSocket(SERVER_URL);
+  ws = new WebSocket(SERVER_URL, getConnectionOptions());
+  ws.on("upgrade", checkPinnedCertificate);
 
   ws.onopen = () => {
-    console.log("✅ WebSocket connected!");
-    sendHandshake();
+    // The server opens with a challenge; the handshake is sent in reply to it
+    console.log(
+      "✅ WebSocket connected! Waiting for the server's challenge..."
+    );
   };
 
   // --- Event: Message Received ---
@@ -49,70 +147,117 @@ function connectToServer() {
       return;
     }
 
-    // --- First Message: Peer ID Assignment (2-byte Buffer) ---
-    if (peerId === null && message.length === 2) {
-      peerId = message.readUInt16BE(0);
-      console.log(`🆔 Received peerId: #${peerId}. Client is now registered.`);
-      requestTask();
+    let decoded;
+    try {
+      decoded = protocol.decodeMessage(message);
+    } catch (e) {
+      console.warn(`Received malformed frame from server: ${e.message}`);
       return;
     }
 
-    // --- Subsequent Messages: Must follow our Binary Protocol Header (at least 4 bytes) ---
-    if (message.length < 4) {
-      console.warn(
-        `Received unexpected short binary message (length ${message.length}) from server. Ignoring.`
+    // --- Challenge: the server is ready for our handshake ---
+    if (decoded.type === MessageType.CHALLENGE) {
+      sendHandshake(decoded.payload);
+      return;
+    }
+
+    // --- Handshake Acknowledgement: Peer ID Assignment ---
+    if (decoded.type === MessageType.HANDSHAKE_ACK) {
+      peerId = decoded.peerId;
+      sessionToken = decoded.payload.sessionToken || null;
+      transferStats.codec = decoded.payload.compression || null;
+      console.log(
+        `🆔 Received peerId: #${peerId} (protocol version ${
+          decoded.payload.version
+        }, compression: ${
+          transferStats.codec || "off"
+        }). Client is now registered.`
       );
+      if (decoded.payload.resumed) {
+        submitOfflineResults();
+      } else {
+        startNewSession();
+      }
+      if (decoded.payload.heartbeatIntervalMs) {
+        watchHeartbeats(ws, decoded.payload.heartbeatIntervalMs);
+      }
+      requestTasks();
       return;
     }
 
-    const serverCommandId = message.readUInt16BE(0);
-    const associatedValue = message.readUInt16BE(2);
+    // --- Error: the server rejected us and is closing the connection ---
+    if (decoded.type === MessageType.ERROR) {
+      console.error(
+        `⛔ Server rejected this client (${decoded.payload.code}): ${decoded.payload.message}`
+      );
+      // Reconnecting would not change a protocol version mismatch or bad credentials
+      rejected = true;
+      return;
+    }
 
-    // --- Server Command 100: Task Data (SERVER_COMMAND_TYPE_TASK_DATA) ---
-    if (serverCommandId === SERVER_COMMAND_TYPE_TASK_DATA) {
-      const taskId = associatedValue;
-      const audioChunkBuffer = message.slice(4);
+    // --- Task Data ---
+    if (decoded.type === MessageType.TASK_DATA) {
+      const { taskId, taskHeader } = decoded;
+      let audioChunkBuffer = decoded.samples;
+      if (decoded.compressed) {
+        try {
+          audioChunkBuffer = compression.decompressSamples(decoded.samples, {
+            codec: transferStats.codec,
+            maxBytes:
+              taskHeader.frames * (taskHeader.channels || 1) * FLOAT_SIZE,
+          });
+        } catch (error) {
+          // The server takes the task back once it times out
+          console.warn(`Dropping Task #${taskId}: ${error.message}`);
+          requestedTasks = Math.max(0, requestedTasks - 1);
+          return;
+        }
+      }
+      compression.recordTransfer(
+        transferStats,
+        "received",
+        audioChunkBuffer.length,
+        decoded.wireBytes
+      );
 
       console.log(
-        `📥 Received Task #${taskId} (size: ${audioChunkBuffer.length} bytes).`
+        `📥 Received Task #${taskId} (size: ${audioChunkBuffer.length} bytes${
+          decoded.compressed ? `, ${decoded.wireBytes} compressed` : ""
+        }, operation: ${taskHeader.operation.name}).`
       );
 
-      isProcessing = true;
-      processTask(taskId, audioChunkBuffer);
+      requestedTasks = Math.max(0, requestedTasks - 1);
+      processTask(taskId, taskHeader, audioChunkBuffer);
       return;
     }
 
-    // --- Server Command 101: Status Message (SERVER_COMMAND_TYPE_STATUS_MESSAGE) ---
-    else if (serverCommandId === SERVER_COMMAND_TYPE_STATUS_MESSAGE) {
-      const jsonString = message.slice(4).toString("utf8");
-      let statusPayload;
-      try {
-        statusPayload = JSON.parse(jsonString);
-      } catch (e) {
-        console.error("❌ Error parsing status JSON from server:", e.message);
-        return;
-      }
-
+    // --- Status Message ---
+    else if (decoded.type === MessageType.STATUS) {
+      const statusPayload = decoded.payload;
       console.log(`📥 Received status message from server:`, statusPayload);
 
+      // The server sends "no-task" after the tasks it could hand out, so nothing more
+      // is coming for our request. Tasks still in flight ask again when they finish.
       if (statusPayload.type === "no-task") {
         console.log(
-          "No tasks available right now. Waiting for new tasks or for others to finish."
+          "No more tasks available right now. Waiting for new tasks or for others to finish."
         );
-        isProcessing = false;
-        setTimeout(requestTask, 2000);
+        requestedTasks = 0;
+        if (inFlightTasks.size === 0) setTimeout(requestTasks, 2000);
       } else if (statusPayload.type === "completion") {
+        // More jobs can still be submitted through the server's REST API, so stay
+        // connected and keep asking, just less often.
         console.log(
-          "🎉 Server announced all tasks are completed! No more work for this session."
+          "🎉 Server announced all jobs are finished! Waiting for new jobs..."
         );
-        isProcessing = false;
-        ws.close(1000, "All tasks completed.");
+        logTransferStats();
+        if (inFlightTasks.size === 0) setTimeout(requestTasks, 10000);
       }
       return;
     }
 
     console.warn(
-      `Received unknown server command ID ${serverCommandId}. Ignoring.`
+      `Received unknown server message type ${decoded.type}. Ignoring.`
     );
   };
 
@@ -123,9 +268,14 @@ function connectToServer() {
       }`
     );
     peerId = null;
-    isProcessing = false;
-
-    if (event.code !== 1000) {
+    clearTimeout(heartbeatTimer);
+    // Tasks in flight keep running; their results wait in offlineResults until we know
+    // whether the server resumed our session (see processTask)
+    requestedTasks = 0;
+
+    if (rejected) {
+      console.log("Not reconnecting: the server rejected this client.");
+    } else if (event.code !== 1000) {
       // 1000 is normal closure
       console.log("Attempting to reconnect in 5 seconds...");
       setTimeout(connectToServer, 5000);
@@ -137,20 +287,60 @@ function connectToServer() {
   };
 }
 
-// --- Helper function to send the initial handshake message ---
-function sendHandshake() {
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    const payload = { nickname: CLIENT_NICKNAME };
-    const jsonBuffer = Buffer.from(JSON.stringify(payload), "utf8");
+// --- Helper function to notice a server that went silent ---
+// The server pings every heartbeatIntervalMs. Without a ping for HEARTBEAT_TOLERANCE
+// intervals the connection is assumed dead (e.g. half-open) and dropped, which reconnects.
+function watchHeartbeats(socket, intervalMs) {
+  const timeoutMs = intervalMs * HEARTBEAT_TOLERANCE;
+  const reset = () => {
+    clearTimeout(heartbeatTimer);
+    heartbeatTimer = setTimeout(() => {
+      console.warn(
+        `💔 No heartbeat from the server for ${timeoutMs} ms. Dropping the connection.`
+      );
+      socket.terminate();
+    }, timeoutMs);
+  };
+  socket.on("ping", reset);
+  reset();
+}
 
-    const messageBuffer = Buffer.alloc(4 + jsonBuffer.length);
-    messageBuffer.writeUInt16BE(0, 0);
-    messageBuffer.writeUInt16BE(CLIENT_COMMAND_HANDSHAKE, 2);
-    jsonBuffer.copy(messageBuffer, 4);
-    ws.send(messageBuffer);
+// --- Helper function to log what compression saved so far ---
+function logTransferStats() {
+  const summary = compression.summarizeTransfer(transferStats);
+  console.log(
+    `📦 Samples received: ${summary.receivedBytes.toLocaleString()} bytes (${summary.receivedWireBytes.toLocaleString()} on the wire), sent: ${summary.sentBytes.toLocaleString()} bytes (${summary.sentWireBytes.toLocaleString()} on the wire). Saved ${summary.savedBytes.toLocaleString()} bytes (${
+      summary.savedPercent
+    }%).`
+  );
+}
 
+// --- Helper function to send the initial handshake message ---
+function sendHandshake({ challenge, authRequired }) {
+  if (ws && ws.readyState === WebSocket.OPEN) {
+    let proof;
+    if (authRequired) {
+      if (!CLIENT_ID || !CLIENT_SECRET) {
+        console.error(
+          "🔒 The server requires authentication: set the client id and secret (--id and CLUSTER_CLIENT_SECRET)."
+        );
+      } else {
+        proof = auth.computeProof(CLIENT_SECRET, challenge, CLIENT_ID);
+      }
+    }
+    ws.send(
+      protocol.encodeHandshake({
+        nickname: CLIENT_NICKNAME,
+        concurrency: TASK_WINDOW,
+        capabilities: CAPABILITIES,
+        sessionToken,
+        clientId: CLIENT_ID || undefined,
+        proof,
+        compression: COMPRESSION_OFFER,
+      })
+    );
     console.log(
-      `⬆️ Sent handshake with nickname '${CLIENT_NICKNAME}'. WS State: ${ws.readyState}`
+      `⬆️ Sent handshake with nickname '${CLIENT_NICKNAME}' (protocol version ${protocol.PROTOCOL_VERSION}, ${TASK_WINDOW} task(s) at once on ${WORKER_COUNT} worker(s)). WS State: ${ws.readyState}`
     );
   } else {
     console.warn(
@@ -159,97 +349,147 @@ function sendHandshake() {
   }
 }
 
-// --- Helper function to request a new task from the server ---
-function requestTask() {
-  if (
-    peerId !== null &&
-    ws &&
-    ws.readyState === WebSocket.OPEN &&
-    !isProcessing
-  ) {
-    const payload = {};
-    const jsonBuffer = Buffer.from(JSON.stringify(payload), "utf8");
-
-    const messageBuffer = Buffer.alloc(4 + jsonBuffer.length);
-    messageBuffer.writeUInt16BE(peerId, 0);
-    messageBuffer.writeUInt16BE(CLIENT_COMMAND_REQUEST_TASK, 2);
-    jsonBuffer.copy(messageBuffer, 4);
-    ws.send(messageBuffer);
+// --- Helper functions for session resumption ---
+// The server resumed our session: it still counts on the results we finished offline.
+function submitOfflineResults() {
+  if (offlineResults.size > 0) {
     console.log(
-      `⬆️ Peer #${peerId} requesting next task. WS State: ${ws.readyState}`
+      `🔁 Session resumed. Submitting ${offlineResults.size} result(s) computed while offline.`
     );
-  } else {
+  }
+  const results = Array.from(offlineResults);
+  offlineResults.clear();
+  for (const [taskId, output] of results) {
+    submitResult(taskId, output);
+  }
+}
+
+// The server started a new session: it re-queued the tasks of the old one, so their
+// results are no longer wanted.
+function startNewSession() {
+  if (offlineResults.size > 0 || inFlightTasks.size > 0) {
     console.warn(
-      `Cannot request task. Peer ID: ${peerId}, WS State: ${
-        ws ? ws.readyState : "null"
-      }, Is processing: ${isProcessing}`
+      `Dropping ${
+        offlineResults.size + inFlightTasks.size
+      } task(s) of an expired session: the server has handed them to others.`
     );
   }
+  sessionNumber++;
+  offlineResults.clear();
+  inFlightTasks.clear();
 }
 
-// --- Task Processing Function ---
-function processTask(taskId, audioChunkBuffer) {
-  console.log(`Working on Task #${taskId}...`);
-
-  if (audioChunkBuffer.length % FLOAT_SIZE !== 0) {
-    console.error(
-      `Received audioChunkBuffer for Task #${taskId} has an invalid length (${audioChunkBuffer.length} bytes). Not a multiple of ${FLOAT_SIZE}.`
+// --- Helper function to request new tasks from the server ---
+// Asks for enough tasks to fill the window. Only one request is outstanding at a time.
+function requestTasks() {
+  if (peerId === null || !ws || ws.readyState !== WebSocket.OPEN) {
+    console.warn(
+      `Cannot request tasks. Peer ID: ${peerId}, WS State: ${
+        ws ? ws.readyState : "null"
+      }`
     );
-    isProcessing = false;
-    requestTask();
     return;
   }
+  const count = TASK_WINDOW - inFlightTasks.size;
+  if (requestedTasks > 0 || count <= 0) return;
 
-  const floatArray = new Float32Array(
-    audioChunkBuffer.buffer,
-    audioChunkBuffer.byteOffset,
-    audioChunkBuffer.byteLength / FLOAT_SIZE
+  requestedTasks = count;
+  ws.send(protocol.encodeRequestTask(peerId, count));
+  console.log(
+    `⬆️ Peer #${peerId} requesting ${count} task(s) (${inFlightTasks.size} in flight). WS State: ${ws.readyState}`
   );
+}
 
-  for (let i = 0; i < floatArray.length; i++) {
-    floatArray[i] = floatArray[i] * -1; // Invert by multiplying by -1
-  }
-
-  console.log(`Completed computation for Task #${taskId}.`);
-  // CRITICAL FIX: Create Buffer from the exact view of the Float32Array
-  const processedResultBuffer = Buffer.from(
-    floatArray.buffer,
-    floatArray.byteOffset,
-    floatArray.byteLength
+// --- Task Processing Function ---
+// Runs the task on a worker thread and submits its result. Results finished while we are
+// disconnected are kept for a resumed session; results of tasks from an earlier session
+// are dropped, as the server has already handed those tasks to others.
+function processTask(taskId, taskHeader, audioChunkBuffer) {
+  console.log(
+    `Working on Task #${taskId} (${taskHeader.frames.toLocaleString()} frames${
+      taskHeader.preRoll || taskHeader.postRoll
+        ? `, ${taskHeader.preRoll} pre-roll / ${taskHeader.postRoll} post-roll`
+        : ""
+    })...`
   );
-  submitResult(taskId, processedResultBuffer);
+  const taskSession = sessionNumber;
+  inFlightTasks.add(taskId);
+
+  workerPool
+    .run(taskHeader, audioChunkBuffer)
+    .then((output) => {
+      if (sessionNumber !== taskSession) {
+        console.warn(
+          `Dropping the result of Task #${taskId}: it was received in an earlier session.`
+        );
+        return;
+      }
+      if (taskHeader.inputHash && output.inputHash !== taskHeader.inputHash) {
+        console.warn(
+          `⚠️ Task #${taskId} samples do not match their hash; the server will reject this result.`
+        );
+      }
+      console.log(
+        `Completed computation for Task #${taskId} in ${output.processingMs} ms.`
+      );
+      // Results come back in the task's layout, which decides how they compress
+      output.sampleStride = compression.getSampleStride(
+        taskHeader.channels,
+        taskHeader.layout
+      );
+      submitResult(taskId, output);
+    })
+    .catch((error) => {
+      console.error(
+        `❌ Could not process Task #${taskId} (operation '${taskHeader.operation.name}'):`,
+        error.message
+      );
+    })
+    .finally(() => {
+      if (sessionNumber !== taskSession) return;
+      inFlightTasks.delete(taskId);
+      if (peerId !== null) requestTasks();
+    });
 }
 
 // --- Helper function to submit processed task result to the server ---
-function submitResult(taskId, processedBuffer) {
-  const base64EncodedResult = processedBuffer.toString("base64");
-
-  const payload = {
-    taskId: taskId,
-    result: base64EncodedResult,
-  };
-  const jsonBuffer = Buffer.from(JSON.stringify(payload), "utf8");
-
-  if (ws && ws.readyState === WebSocket.OPEN) {
-    const messageBuffer = Buffer.alloc(4 + jsonBuffer.length);
-    messageBuffer.writeUInt16BE(peerId, 0);
-    messageBuffer.writeUInt16BE(CLIENT_COMMAND_SUBMIT_RESULT, 2);
-    jsonBuffer.copy(messageBuffer, 4);
-
-    ws.send(messageBuffer);
+// Sent as raw samples, compressed with the negotiated codec if there is one, with the
+// hashes of the input and of the result and the time spent processing the chunk (see
+// protocol.js). While disconnected, the result is kept in offlineResults for a resumed
+// session.
+function submitResult(taskId, output) {
+  if (peerId === null || !ws || ws.readyState !== WebSocket.OPEN) {
     console.log(
-      `⬆️ Peer #${peerId} submitted result for Task #${taskId}. WS State: ${ws.readyState}`
-    );
-  } else {
-    console.error(
-      `⬆️ Could not submit result for Task #${taskId}. WS State: ${
+      `Keeping the result of Task #${taskId} until we are reconnected. WS State: ${
         ws ? ws.readyState : "null"
       }`
     );
+    offlineResults.set(taskId, output);
+    return;
   }
-
-  isProcessing = false;
-  requestTask();
+  const { result, inputHash, resultHash, processingMs, sampleStride } = output;
+  const compressed = compression.compressSamples(
+    transferStats.codec,
+    result,
+    sampleStride
+  );
+  compression.recordTransfer(
+    transferStats,
+    "sent",
+    result.length,
+    compressed ? compressed.length : result.length
+  );
+  ws.send(
+    protocol.encodeSubmitResult(peerId, taskId, compressed || result, {
+      inputHash,
+      resultHash,
+      processingMs,
+      compressed: compressed !== null,
+    })
+  );
+  console.log(
+    `⬆️ Peer #${peerId} submitted result for Task #${taskId}. WS State: ${ws.readyState}`
+  );
 }
 
 // --- Start the connection process when the client.js script runs ---
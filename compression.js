@@ -0,0 +1,220 @@
+// compression.js
+// Compression of the samples in TASK_DATA and SUBMIT_RESULT frames (see protocol.js),
+// negotiated in the handshake: the client lists the codecs it accepts, preferred first,
+// and the server picks one of them (or none) in its acknowledgement. Codecs:
+//   deflate    zlib's raw deflate of the sample bytes
+//   float-xor  lossless float compression: every float32 is XORed with the previous sample
+//              of the same channel, the bytes are grouped by significance (sign and
+//              exponent bytes first), then deflated. Neighbouring samples share their high
+//              bytes, so those groups shrink to little more than runs of zeros.
+// Compressed samples travel as a block of
+//   [codec u8][stride u16][sampleBytes u32][codec data]
+// where `stride` is the distance between samples of the same channel (the channel count
+// for interleaved samples, 1 for planar ones) and `sampleBytes` the uncompressed length.
+// Samples a codec can't make smaller are sent uncompressed.
+const zlib = require("zlib");
+const { ChannelLayout } = require("./audio-formats");
+
+const FLOAT_SIZE = 4;
+const BLOCK_HEADER_BYTES = 7;
+// Chunks are compressed on the server's main thread as they are handed out, so speed
+// matters more than the last few percent: float data barely deflates further at higher levels.
+const DEFLATE_LEVEL = zlib.constants.Z_BEST_SPEED;
+
+const Codec = {
+  DEFLATE: "deflate",
+  FLOAT_XOR: "float-xor",
+};
+
+// Identifies the codec in a block; never reuse an id
+const CODEC_IDS = {
+  [Codec.DEFLATE]: 1,
+  [Codec.FLOAT_XOR]: 2,
+};
+
+// --- Codecs ---
+// Each codec has encode(samples, stride) -> Buffer and decode(data, stride, sampleBytes) -> Buffer.
+const codecs = new Map();
+
+function deflate(buffer) {
+  return zlib.deflateRawSync(buffer, { level: DEFLATE_LEVEL });
+}
+
+// maxOutputLength stops a forged block from inflating past the length it announces
+function inflate(data, sampleBytes) {
+  return zlib.inflateRawSync(data, {
+    maxOutputLength: Math.max(1, sampleBytes),
+  });
+}
+
+codecs.set(Codec.DEFLATE, {
+  encode: (samples) => deflate(samples),
+  decode: (data, stride, sampleBytes) => inflate(data, sampleBytes),
+});
+
+// XOR works bytewise, so this is independent of the machine's byte order. Bytes past the
+// last whole sample are kept as they are.
+codecs.set(Codec.FLOAT_XOR, {
+  encode(samples, stride) {
+    const count = Math.floor(samples.length / FLOAT_SIZE);
+    const planes = Buffer.alloc(samples.length);
+    for (let byte = 0; byte < FLOAT_SIZE; byte++) {
+      const plane = (FLOAT_SIZE - 1 - byte) * count;
+      for (let i = 0; i < count; i++) {
+        const value = samples[i * FLOAT_SIZE + byte];
+        planes[plane + i] =
+          i >= stride
+            ? value ^ samples[(i - stride) * FLOAT_SIZE + byte]
+            : value;
+      }
+    }
+    samples.copy(planes, count * FLOAT_SIZE, count * FLOAT_SIZE);
+    return deflate(planes);
+  },
+  decode(data, stride, sampleBytes) {
+    const planes = inflate(data, sampleBytes);
+    if (planes.length !== sampleBytes) return planes; // Reported by decompressSamples
+    const count = Math.floor(sampleBytes / FLOAT_SIZE);
+    const samples = Buffer.alloc(sampleBytes);
+    for (let byte = 0; byte < FLOAT_SIZE; byte++) {
+      const plane = (FLOAT_SIZE - 1 - byte) * count;
+      for (let i = 0; i < count; i++) {
+        const value = planes[plane + i];
+        samples[i * FLOAT_SIZE + byte] =
+          i >= stride
+            ? value ^ samples[(i - stride) * FLOAT_SIZE + byte]
+            : value;
+      }
+    }
+    planes.copy(samples, count * FLOAT_SIZE, count * FLOAT_SIZE);
+    return samples;
+  },
+});
+
+// --- Public API ---
+// Codecs this build understands, preferred first
+function listCodecs() {
+  return Object.values(Codec);
+}
+
+// The codec the server uses with a client that offered `offered` (an array of names,
+// preferred first). `setting` is the server's choice: "auto" takes the client's first
+// known codec, a codec name is used only if the client offered it, "none" never
+// compresses. Returns a codec name or null.
+function chooseCodec(offered, setting) {
+  if (setting === "none" || !Array.isArray(offered)) return null;
+  const known = offered.filter((name) => codecs.has(name));
+  if (setting === "auto") return known.length > 0 ? known[0] : null;
+  return known.includes(setting) ? setting : null;
+}
+
+// Distance between two samples of the same channel in a chunk's samples
+function getSampleStride(channels, layout) {
+  return layout === ChannelLayout.PLANAR ? 1 : Math.max(1, channels || 1);
+}
+
+// Compresses `samples` into a block. Returns null when the codec is null or the block
+// would not be smaller than the samples.
+function compressSamples(codec, samples, stride = 1) {
+  if (!codec || samples.length === 0) return null;
+  const definition = codecs.get(codec);
+  if (!definition) throw new Error(`Unknown compression codec '${codec}'.`);
+  const data = definition.encode(samples, stride);
+  if (BLOCK_HEADER_BYTES + data.length >= samples.length) return null;
+
+  const block = Buffer.alloc(BLOCK_HEADER_BYTES + data.length);
+  block.writeUInt8(CODEC_IDS[codec], 0);
+  block.writeUInt16BE(Math.min(stride, 0xffff), 1);
+  block.writeUInt32BE(samples.length, 3);
+  data.copy(block, BLOCK_HEADER_BYTES);
+  return block;
+}
+
+// Returns the samples stored in a block. `codec` is the codec negotiated with the sender
+// and `maxBytes` the most the samples may hold (e.g. the task's result length); both are
+// checked before anything is inflated, so a forged block can't make the receiver allocate
+// more than a genuine one. Throws if the block is truncated, uses another codec, announces
+// too many bytes or doesn't decompress to the length it announces.
+function decompressSamples(block, { codec: negotiatedCodec, maxBytes }) {
+  if (block.length < BLOCK_HEADER_BYTES) {
+    throw new Error("Compressed samples are too short for their header.");
+  }
+  const codecId = block.readUInt8(0);
+  const codec = Object.keys(CODEC_IDS).find(
+    (name) => CODEC_IDS[name] === codecId
+  );
+  if (!codec) throw new Error(`Unknown compression codec id ${codecId}.`);
+  if (codec !== negotiatedCodec) {
+    throw new Error(
+      negotiatedCodec
+        ? `Samples are compressed with ${codec}, but ${negotiatedCodec} was negotiated.`
+        : `Samples are compressed with ${codec}, but no compression was negotiated.`
+    );
+  }
+  const stride = block.readUInt16BE(1);
+  const sampleBytes = block.readUInt32BE(3);
+  if (sampleBytes > maxBytes) {
+    throw new Error(
+      `Compressed samples announce ${sampleBytes} bytes, more than the ${maxBytes} expected.`
+    );
+  }
+
+  let samples;
+  try {
+    samples = codecs
+      .get(codec)
+      .decode(block.subarray(BLOCK_HEADER_BYTES), stride, sampleBytes);
+  } catch (error) {
+    throw new Error(`Could not decompress ${codec} samples: ${error.message}`);
+  }
+  if (samples.length !== sampleBytes) {
+    throw new Error(
+      `Compressed samples announce ${sampleBytes} bytes but hold ${samples.length}.`
+    );
+  }
+  return samples;
+}
+
+// --- Transfer statistics ---
+// Counts the sample bytes a client's frames carried and what they took on the wire, in
+// both directions (from the point of view of whoever keeps the statistics).
+function createTransferStats() {
+  return {
+    codec: null,
+    sentBytes: 0,
+    sentWireBytes: 0,
+    receivedBytes: 0,
+    receivedWireBytes: 0,
+  };
+}
+
+// direction: "sent" | "received"
+function recordTransfer(stats, direction, sampleBytes, wireBytes) {
+  stats[`${direction}Bytes`] += sampleBytes;
+  stats[`${direction}WireBytes`] += wireBytes;
+}
+
+// Adds savedBytes and savedPercent (of the uncompressed bytes) to a copy of the statistics
+function summarizeTransfer(stats) {
+  const totalBytes = stats.sentBytes + stats.receivedBytes;
+  const savedBytes =
+    totalBytes - (stats.sentWireBytes + stats.receivedWireBytes);
+  return {
+    ...stats,
+    savedBytes,
+    savedPercent:
+      totalBytes > 0 ? Math.round((savedBytes / totalBytes) * 1000) / 10 : 0,
+  };
+}
+
+module.exports = {
+  Codec,
+  listCodecs,
+  chooseCodec,
+  getSampleStride,
+  compressSamples,
+  decompressSamples,
+  createTransferStats,
+  recordTransfer,
+  summarizeTransfer,
+};
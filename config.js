@@ -0,0 +1,603 @@
+// config.js
+// Shared configuration loader for server.js, client.js, launcher.js and result-tool.js.
+// Each script reads its own section; values are merged in this order, later ones win:
+//   1. the defaults below
+//   2. a JSON or YAML config file (--config <path> or CLUSTER_CONFIG), e.g.
+//        server:   { port: 3000, chunkSamples: 22050 }
+//        client:   { serverUrl: "wss://audio-server.lan:3000" }
+//        launcher: { clients: 8 }
+//   3. environment variables (CLUSTER_*)
+//   4. command-line flags (--chunk-samples=22050 or --chunk-samples 22050)
+// Unknown keys or flags and invalid values stop the script with a list of the problems.
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+// --- Schema ---
+// type: "integer" | "number" | "boolean" | "string" | "path" | "enum"
+// Paths in a config file are relative to the file; paths from env or flags to the
+// working directory. `secret` values are masked when the configuration is printed.
+const SCHEMA = {
+  server: {
+    port: {
+      type: "integer",
+      min: 1,
+      max: 65535,
+      default: 3000,
+      env: "CLUSTER_PORT",
+      description: "HTTP/WebSocket port",
+    },
+    scheduling: {
+      type: "enum",
+      values: ["sequential", "interleaved"],
+      default: "sequential",
+      env: "CLUSTER_SCHEDULING",
+      description: "How queued jobs share the clients",
+    },
+    dataDir: {
+      type: "path",
+      default: path.join(__dirname, "generated_data"),
+      env: "CLUSTER_DATA_DIR",
+      description: "Where inputs, job state and results are written",
+    },
+    chunkSamples: {
+      type: "integer",
+      min: 1,
+      default: 44100,
+      env: "CLUSTER_CHUNK_SAMPLES",
+      description: "Default frames per task for jobs that don't set their own",
+    },
+    sampleRate: {
+      type: "integer",
+      min: 1,
+      default: 44100,
+      env: "CLUSTER_SAMPLE_RATE",
+      description: "Sample rate assumed for headerless input",
+    },
+    dummyTotalSamples: {
+      type: "integer",
+      min: 1,
+      default: 158760000, // Exactly as per original assignment (approx 60 minutes)
+      env: "CLUSTER_DUMMY_TOTAL_SAMPLES",
+      description: "Length of the generated test.raw",
+    },
+    assignedTimeoutMs: {
+      type: "integer",
+      min: 1,
+      default: 5000,
+      env: "CLUSTER_ASSIGNED_TIMEOUT_MS",
+      description:
+        "Shortest time a task may stay assigned before it is re-queued",
+    },
+    timeoutFactor: {
+      type: "number",
+      min: 1,
+      default: 4,
+      env: "CLUSTER_TIMEOUT_FACTOR",
+      description:
+        "Re-queue a task after this many times its client's expected processing time",
+    },
+    speculativeExecution: {
+      type: "boolean",
+      default: true,
+      env: "CLUSTER_SPECULATIVE_EXECUTION",
+      description:
+        "Give idle clients a second copy of straggling tasks near the end of a job",
+    },
+    sessionGraceMs: {
+      type: "integer",
+      min: 0,
+      default: 30000,
+      env: "CLUSTER_SESSION_GRACE_MS",
+      description:
+        "How long a dropped client may take to reconnect and keep its tasks (0: never)",
+    },
+    heartbeatIntervalMs: {
+      type: "integer",
+      min: 100,
+      default: 10000,
+      env: "CLUSTER_HEARTBEAT_INTERVAL_MS",
+      description:
+        "How often clients are pinged and stuck tasks are looked for",
+    },
+    maxRetries: {
+      type: "integer",
+      min: 0,
+      default: 3,
+      env: "CLUSTER_MAX_RETRIES",
+      description:
+        "Default times a failed chunk is handed out again before it is given up on",
+    },
+    onChunkFailure: {
+      type: "enum",
+      values: ["fail-job", "skip-chunk"],
+      default: "fail-job",
+      env: "CLUSTER_ON_CHUNK_FAILURE",
+      description:
+        "Default for jobs with a chunk that failed too often: fail, or complete without it",
+    },
+    encryptionCipher: {
+      type: "enum",
+      values: ["aes-256-gcm", "chacha20-poly1305"],
+      default: "aes-256-gcm",
+      env: "CLUSTER_ENCRYPTION_CIPHER",
+      description: "Default authenticated cipher outputs are encrypted with",
+    },
+    encryptionKeySource: {
+      type: "enum",
+      values: ["file", "passphrase", "recipient"],
+      default: "file",
+      env: "CLUSTER_ENCRYPTION_KEY_SOURCE",
+      description:
+        "Default for what protects output keys: a key file, a passphrase or a public key",
+    },
+    encryptionKeyFile: {
+      type: "path",
+      default: null,
+      env: "CLUSTER_ENCRYPTION_KEY_FILE",
+      description:
+        "32-byte key file of the file key source, created when missing; keep it apart from the outputs",
+    },
+    encryptionPassphrase: {
+      type: "string",
+      default: null,
+      env: "CLUSTER_ENCRYPTION_PASSPHRASE",
+      secret: true,
+      description: "Passphrase for the passphrase key source",
+    },
+    encryptionKdf: {
+      type: "enum",
+      values: ["scrypt", "pbkdf2"],
+      default: "scrypt",
+      env: "CLUSTER_ENCRYPTION_KDF",
+      description: "How a key is derived from the passphrase",
+    },
+    encryptionRecipientKey: {
+      type: "path",
+      default: null,
+      env: "CLUSTER_ENCRYPTION_RECIPIENT_KEY",
+      description:
+        "RSA or X25519 public key (PEM) for the recipient key source",
+    },
+    credentialsFile: {
+      type: "path",
+      default: null,
+      env: "CLUSTER_CREDENTIALS_FILE",
+      description: "JSON file of clientId -> secret (see auth.js)",
+    },
+    credentials: {
+      type: "string",
+      default: null,
+      env: "CLUSTER_CREDENTIALS",
+      secret: true,
+      description: "Inline credentials: <clientId>:<secret>,...",
+    },
+    tlsCert: {
+      type: "path",
+      default: null,
+      env: "CLUSTER_TLS_CERT",
+      description: "TLS certificate; enables https:// and wss://",
+    },
+    tlsKey: {
+      type: "path",
+      default: null,
+      env: "CLUSTER_TLS_KEY",
+      description: "TLS private key",
+    },
+    inputDir: {
+      type: "path",
+      default: null,
+      env: "CLUSTER_INPUT_DIR",
+      description:
+        "Directory the inputPath of API jobs must be in (default: dataDir)",
+    },
+    maxUploadBytes: {
+      type: "integer",
+      min: 1,
+      default: 2 * 1024 * 1024 * 1024,
+      env: "CLUSTER_MAX_UPLOAD_BYTES",
+      description: "Largest input file accepted as an upload",
+    },
+    maxClientConcurrency: {
+      type: "integer",
+      min: 1,
+      default: 32,
+      env: "CLUSTER_MAX_CLIENT_CONCURRENCY",
+      description: "Most tasks a single client may have in flight",
+    },
+    compression: {
+      type: "enum",
+      values: ["auto", "float-xor", "deflate", "none"],
+      default: "auto",
+      env: "CLUSTER_COMPRESSION",
+      description:
+        "Codec for task and result samples: the client's preferred one (auto), a given one if the client offers it, or none",
+    },
+  },
+  client: {
+    serverUrl: {
+      type: "string",
+      pattern: /^wss?:\/\/.+/,
+      default: "ws://localhost:3000",
+      env: "CLUSTER_SERVER_URL",
+      description: "ws:// or wss:// URL of the server",
+    },
+    id: {
+      type: "string",
+      default: null,
+      env: "CLUSTER_CLIENT_ID",
+      description: "Client id used to authenticate",
+    },
+    secret: {
+      type: "string",
+      default: null,
+      env: "CLUSTER_CLIENT_SECRET",
+      secret: true,
+      description: "Secret for the client id",
+    },
+    nickname: {
+      type: "string",
+      default: null,
+      env: "CLUSTER_CLIENT_NICKNAME",
+      description: "Name shown in the server logs (random when unset)",
+    },
+    workers: {
+      type: "integer",
+      min: 1,
+      default: null,
+      env: "CLUSTER_CLIENT_WORKERS",
+      description:
+        "Worker threads processing tasks (one per CPU core when unset)",
+    },
+    prefetch: {
+      type: "integer",
+      min: 0,
+      default: 1,
+      env: "CLUSTER_CLIENT_PREFETCH",
+      description:
+        "Tasks fetched ahead of the workers, so they never wait for the network",
+    },
+    compression: {
+      type: "enum",
+      values: ["float-xor", "deflate", "none"],
+      default: "none",
+      env: "CLUSTER_CLIENT_COMPRESSION",
+      description:
+        "Codec to ask the server for; worth it on slow links, costs CPU on fast ones",
+    },
+    tlsCa: {
+      type: "path",
+      default: null,
+      env: "CLUSTER_TLS_CA",
+      description: "CA bundle or self-signed certificate to trust",
+    },
+    tlsFingerprint: {
+      type: "string",
+      pattern: /^([0-9A-Fa-f]{2}:){31}[0-9A-Fa-f]{2}$/,
+      default: null,
+      env: "CLUSTER_TLS_FINGERPRINT",
+      description: "Pinned SHA-256 fingerprint of the server certificate",
+    },
+    tlsRejectUnauthorized: {
+      type: "boolean",
+      default: true,
+      env: "CLUSTER_TLS_REJECT_UNAUTHORIZED",
+      description: "Verify the server certificate",
+    },
+  },
+  resultTool: {
+    input: {
+      type: "path",
+      default: null,
+      env: "CLUSTER_RESULT_INPUT",
+      description: "Job output to read (result.enc, result.raw or result.wav)",
+    },
+    output: {
+      type: "path",
+      default: null,
+      env: "CLUSTER_RESULT_OUTPUT",
+      description:
+        "Where to write the decrypted samples (only statistics when unset)",
+    },
+    format: {
+      type: "enum",
+      values: ["raw", "wav"],
+      default: null,
+      env: "CLUSTER_RESULT_FORMAT",
+      description:
+        "Output format of --output: headerless float32 or WAV (from its extension when unset)",
+    },
+    channels: {
+      type: "integer",
+      min: 1,
+      default: 1,
+      env: "CLUSTER_RESULT_CHANNELS",
+      description:
+        "Channels of an unencrypted raw output, which doesn't record them",
+    },
+    sampleRate: {
+      type: "integer",
+      min: 1,
+      default: null,
+      env: "CLUSTER_RESULT_SAMPLE_RATE",
+      description:
+        "Sample rate of an unencrypted raw output (default: the server's sampleRate)",
+    },
+    unreverse: {
+      type: "boolean",
+      default: false,
+      env: "CLUSTER_RESULT_UNREVERSE",
+      description:
+        "Undo the reversal applied when the output was written (needs --output)",
+    },
+    keyFile: {
+      type: "path",
+      default: null,
+      env: "CLUSTER_RESULT_KEY_FILE",
+      description:
+        "Key file for outputs of the file key source (default: the server's)",
+    },
+    passphrase: {
+      type: "string",
+      default: null,
+      env: "CLUSTER_RESULT_PASSPHRASE",
+      secret: true,
+      description:
+        "Passphrase for outputs of the passphrase key source (default: the server's)",
+    },
+    privateKey: {
+      type: "path",
+      default: null,
+      env: "CLUSTER_RESULT_PRIVATE_KEY",
+      description: "Private key (PEM) for outputs of the recipient key source",
+    },
+  },
+  launcher: {
+    clients: {
+      type: "integer",
+      min: 1,
+      default: 5,
+      env: "CLUSTER_NUM_CLIENTS",
+      description: "Number of clients to start",
+    },
+    logDir: {
+      type: "path",
+      default: path.join(__dirname, "client_logs"),
+      env: "CLUSTER_LOG_DIR",
+      description: "Directory for the clients' log files",
+    },
+  },
+};
+
+const CONFIG_FLAG = "config";
+const CONFIG_ENV = "CLUSTER_CONFIG";
+
+const loadedConfigs = new Map(); // Key: section, Value: { values, sources, configPath }
+
+// --- Helpers ---
+function toFlagName(key) {
+  return key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+// Parses --name=value, --name value and bare --name (booleans) into a Map.
+function parseFlags(argv) {
+  const flags = new Map();
+  const problems = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      problems.push(`Unexpected argument '${arg}'.`);
+      continue;
+    }
+    const separator = arg.indexOf("=");
+    if (separator !== -1) {
+      flags.set(arg.slice(2, separator), arg.slice(separator + 1));
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      flags.set(arg.slice(2), argv[++i]);
+    } else {
+      flags.set(arg.slice(2), "true");
+    }
+  }
+  return { flags, problems };
+}
+
+function readConfigFile(configPath) {
+  const text = fs.readFileSync(configPath, "utf8");
+  const extension = path.extname(configPath).toLowerCase();
+  const parsed =
+    extension === ".yaml" || extension === ".yml"
+      ? YAML.parse(text)
+      : JSON.parse(text);
+  if (
+    parsed !== null &&
+    (typeof parsed !== "object" || Array.isArray(parsed))
+  ) {
+    throw new Error(`${configPath} must contain an object of sections.`);
+  }
+  return parsed || {};
+}
+
+// Converts a raw value (typed from a config file, or a string from env/flags) to the
+// field's type. Returns { value } or { problem }.
+function coerceValue(field, raw, baseDir) {
+  if (raw === null) return { value: null };
+
+  switch (field.type) {
+    case "integer":
+    case "number": {
+      const number = typeof raw === "number" ? raw : Number(raw);
+      if (
+        typeof raw === "boolean" ||
+        raw === "" ||
+        !Number.isFinite(number) ||
+        (field.type === "integer" && !Number.isInteger(number))
+      ) {
+        return {
+          problem: `must be ${
+            field.type === "integer" ? "an integer" : "a number"
+          }`,
+        };
+      }
+      if (field.min !== undefined && number < field.min) {
+        return { problem: `must be at least ${field.min}` };
+      }
+      if (field.max !== undefined && number > field.max) {
+        return { problem: `must be at most ${field.max}` };
+      }
+      return { value: number };
+    }
+    case "boolean": {
+      if (typeof raw === "boolean") return { value: raw };
+      const text = String(raw).toLowerCase();
+      if (["true", "1", "yes", "on"].includes(text)) return { value: true };
+      if (["false", "0", "no", "off"].includes(text)) return { value: false };
+      return { problem: "must be true or false" };
+    }
+    case "enum":
+      if (!field.values.includes(raw)) {
+        return { problem: `must be one of: ${field.values.join(", ")}` };
+      }
+      return { value: raw };
+    case "path":
+      if (typeof raw !== "string" || raw === "") {
+        return { problem: "must be a path" };
+      }
+      return { value: path.resolve(baseDir, raw) };
+    default:
+      if (typeof raw !== "string") return { problem: "must be a string" };
+      if (field.pattern && !field.pattern.test(raw)) {
+        return { problem: `does not look right (expected ${field.pattern})` };
+      }
+      return { value: raw };
+  }
+}
+
+// --- Loading ---
+// Loads and validates a section. Throws an Error listing every problem found.
+function loadConfig(
+  section,
+  { argv = process.argv.slice(2), env = process.env } = {}
+) {
+  const schema = SCHEMA[section];
+  if (!schema) throw new Error(`Unknown configuration section '${section}'.`);
+
+  const { flags, problems } = parseFlags(argv);
+  const values = {};
+  const sources = {};
+  for (const [key, field] of Object.entries(schema)) {
+    values[key] = field.default;
+    sources[key] = "default";
+  }
+
+  const apply = (key, raw, source, baseDir) => {
+    const { value, problem } = coerceValue(schema[key], raw, baseDir);
+    if (problem) {
+      problems.push(`${key} (from ${source}) ${problem}.`);
+      return;
+    }
+    values[key] = value;
+    sources[key] = source;
+  };
+
+  // 2. Config file
+  const configPath = flags.has(CONFIG_FLAG)
+    ? path.resolve(flags.get(CONFIG_FLAG))
+    : env[CONFIG_ENV]
+    ? path.resolve(env[CONFIG_ENV])
+    : null;
+  flags.delete(CONFIG_FLAG);
+  if (configPath) {
+    try {
+      const fileSection = readConfigFile(configPath)[section] || {};
+      for (const [key, raw] of Object.entries(fileSection)) {
+        if (!schema[key]) {
+          problems.push(`Unknown key '${section}.${key}' in ${configPath}.`);
+          continue;
+        }
+        apply(key, raw, path.basename(configPath), path.dirname(configPath));
+      }
+    } catch (error) {
+      problems.push(
+        `Could not read config file ${configPath}: ${error.message}`
+      );
+    }
+  }
+
+  // 3. Environment variables
+  for (const [key, field] of Object.entries(schema)) {
+    if (field.env && env[field.env] !== undefined) {
+      apply(key, env[field.env], field.env, process.cwd());
+    }
+  }
+
+  // 4. Command-line flags
+  const flagKeys = new Map(
+    Object.keys(schema).map((key) => [toFlagName(key), key])
+  );
+  for (const [flag, raw] of flags) {
+    if (!flagKeys.has(flag)) {
+      problems.push(`Unknown flag '--${flag}'.`);
+      continue;
+    }
+    apply(flagKeys.get(flag), raw, `--${flag}`, process.cwd());
+  }
+
+  if (problems.length > 0) {
+    throw new Error(
+      `Invalid ${section} configuration:\n${problems
+        .map((problem) => `  - ${problem}`)
+        .join("\n")}`
+    );
+  }
+  loadedConfigs.set(section, { values, sources, configPath });
+  return Object.freeze(values);
+}
+
+// Returns a section's configuration, loading it on first use. Meant for the entry-point
+// scripts and the modules they load: an invalid configuration ends the process.
+function getConfig(section) {
+  if (loadedConfigs.has(section)) {
+    return Object.freeze(loadedConfigs.get(section).values);
+  }
+  try {
+    return loadConfig(section);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// The config file a loaded section was read from, or null.
+function getConfigFilePath(section) {
+  const loaded = loadedConfigs.get(section);
+  return loaded ? loaded.configPath : null;
+}
+
+// Logs the effective configuration of a loaded section and where each value came from.
+function printConfig(section) {
+  const loaded = loadedConfigs.get(section);
+  if (!loaded) return;
+
+  const schema = SCHEMA[section];
+  const width = Math.max(...Object.keys(schema).map((key) => key.length));
+  console.log(
+    `⚙️ Effective ${section} configuration${
+      loaded.configPath ? ` (config file: ${loaded.configPath})` : ""
+    }:`
+  );
+  for (const [key, field] of Object.entries(schema)) {
+    const value = loaded.values[key];
+    const shown =
+      field.secret && value !== null ? "********" : JSON.stringify(value);
+    console.log(`   ${key.padEnd(width)}  ${shown}  (${loaded.sources[key]})`);
+  }
+}
+
+module.exports = {
+  SCHEMA,
+  CONFIG_ENV,
+  loadConfig,
+  getConfig,
+  getConfigFilePath,
+  printConfig,
+};
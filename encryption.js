@@ -0,0 +1,549 @@
+// encryption.js
+// Encryption of job outputs. Every output is encrypted with its own random data key, which
+// is stored in the output's header wrapped with a key-encryption key from one of:
+//   file        the 32-byte key file set in the configuration; there is no default, and
+//               a configured file that doesn't exist yet gets a new random key
+//   passphrase  a passphrase stretched with scrypt or PBKDF2
+//   recipient   an RSA or X25519 public key: only the holder of the matching private key
+//               can unwrap the data key, not even the server that wrote the output
+//
+// Output layout:
+//   [magic "AUDIOENC" 8 bytes][headerLength u32 BE][header JSON][segment 0][segment 1]...
+// The header describes everything needed to decrypt and read the output:
+//   { version, cipher, segmentBytes, noncePrefix, key: { source, ... },
+//     audio: { sampleRate, channels, frames, sampleFormat, layout, reversed } }
+// `key` holds the wrapped data key and how to unwrap it: the KDF and its parameters, or the
+// recipient key's fingerprint and the ephemeral X25519 key. Binary values are base64.
+//
+// The samples are encrypted with an AEAD cipher (AES-256-GCM or ChaCha20-Poly1305) in
+// segments of segmentBytes plaintext bytes, each stored as [ciphertext][16-byte tag]; only
+// the last one may be shorter. Segment n is encrypted with the nonce
+// [noncePrefix 8 bytes][n u32 BE] and authenticates [SHA-256 of the header][n u32 BE]
+// [final u8], so a segment that was modified, moved, dropped or appended fails to decrypt,
+// as does an output cut off at a segment boundary or a header that was tampered with.
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Transform } = require("stream");
+
+const MAGIC = Buffer.from("AUDIOENC");
+const FORMAT_VERSION = 2;
+const HEADER_PREFIX_BYTES = MAGIC.length + 4;
+const MAX_HEADER_BYTES = 64 * 1024;
+const DATA_KEY_BYTES = 32; // AES-256
+const SEGMENT_BYTES = 64 * 1024;
+const TAG_BYTES = 16;
+const NONCE_PREFIX_BYTES = 8;
+
+const Cipher = {
+  AES_256_GCM: "aes-256-gcm",
+  CHACHA20_POLY1305: "chacha20-poly1305",
+};
+
+const KeySource = {
+  FILE: "file",
+  PASSPHRASE: "passphrase",
+  RECIPIENT: "recipient",
+};
+
+const Kdf = {
+  SCRYPT: "scrypt",
+  PBKDF2: "pbkdf2",
+};
+
+// KDF parameters written into new headers; reading uses whatever the header says
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const PBKDF2_PARAMS = { iterations: 600000, digest: "sha256" };
+const SCRYPT_MAX_MEMORY = 256 * 1024 * 1024;
+const X25519_WRAP_INFO = "audio-output key wrap";
+
+// --- Key Material ---
+// Reads a 32-byte key file. With `create`, a missing file is generated (readable by the
+// owner only). Throws when the file has the wrong size.
+function loadKeyFile(filePath, { create = false } = {}) {
+  if (!fs.existsSync(filePath)) {
+    if (!create) throw new Error(`Key file not found: ${filePath}`);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, crypto.randomBytes(DATA_KEY_BYTES), {
+      mode: 0o600,
+    });
+    console.log(`[Encryption] 🔑 Generated a new key file: ${filePath}`);
+  }
+  const key = fs.readFileSync(filePath);
+  if (key.length !== DATA_KEY_BYTES) {
+    throw new Error(
+      `Key file ${filePath} must hold exactly ${DATA_KEY_BYTES} bytes (it has ${key.length}).`
+    );
+  }
+  return key;
+}
+
+// Reads a recipient's public key (PEM). Throws unless it is an RSA or X25519 key.
+function loadRecipientKey(filePath) {
+  const publicKey = crypto.createPublicKey(fs.readFileSync(filePath));
+  if (!["rsa", "x25519"].includes(publicKey.asymmetricKeyType)) {
+    throw new Error(
+      `Recipient keys must be RSA or X25519 public keys (${filePath} is ${publicKey.asymmetricKeyType}).`
+    );
+  }
+  return publicKey;
+}
+
+// Short SHA-256 fingerprint identifying a key without revealing it
+function fingerprint(keyMaterial) {
+  return crypto
+    .createHash("sha256")
+    .update(keyMaterial)
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function deriveFromPassphrase(passphrase, kdfHeader) {
+  const salt = Buffer.from(kdfHeader.salt, "base64");
+  if (kdfHeader.kdf === Kdf.SCRYPT) {
+    return crypto.scryptSync(passphrase, salt, DATA_KEY_BYTES, {
+      N: kdfHeader.N,
+      r: kdfHeader.r,
+      p: kdfHeader.p,
+      maxmem: SCRYPT_MAX_MEMORY,
+    });
+  }
+  if (kdfHeader.kdf === Kdf.PBKDF2) {
+    return crypto.pbkdf2Sync(
+      passphrase,
+      salt,
+      kdfHeader.iterations,
+      DATA_KEY_BYTES,
+      kdfHeader.digest
+    );
+  }
+  throw new Error(`Unknown key derivation function '${kdfHeader.kdf}'.`);
+}
+
+function deriveX25519WrapKey(privateKey, publicKey, salt) {
+  const sharedSecret = crypto.diffieHellman({ privateKey, publicKey });
+  return Buffer.from(
+    crypto.hkdfSync(
+      "sha256",
+      sharedSecret,
+      salt,
+      X25519_WRAP_INFO,
+      DATA_KEY_BYTES
+    )
+  );
+}
+
+// AES-256-GCM key wrapping, so a wrong key-encryption key is detected on unwrapping
+function wrapWithKey(wrapKey, dataKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", wrapKey, iv);
+  const wrappedKey = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return {
+    wrapIv: iv.toString("base64"),
+    wrapTag: cipher.getAuthTag().toString("base64"),
+    wrappedKey: wrappedKey.toString("base64"),
+  };
+}
+
+function unwrapWithKey(wrapKey, keyHeader) {
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    wrapKey,
+    Buffer.from(keyHeader.wrapIv, "base64")
+  );
+  decipher.setAuthTag(Buffer.from(keyHeader.wrapTag, "base64"));
+  try {
+    return Buffer.concat([
+      decipher.update(Buffer.from(keyHeader.wrappedKey, "base64")),
+      decipher.final(),
+    ]);
+  } catch (error) {
+    throw new Error(
+      `Could not unwrap the data key: wrong ${
+        keyHeader.source === KeySource.PASSPHRASE ? "passphrase" : "key"
+      }.`
+    );
+  }
+}
+
+// --- Data Keys ---
+// Creates a random data key and wraps it as `options` say.
+// options: { keySource, keyFile, kdf, recipientKey } (see task-manager.js)
+// secrets: { passphrase } for the passphrase source
+// Returns { dataKey, keyHeader }.
+function createDataKey(options, secrets = {}) {
+  const dataKey = crypto.randomBytes(DATA_KEY_BYTES);
+
+  if (options.keySource === KeySource.FILE) {
+    const fileKey = loadKeyFile(options.keyFile, { create: true });
+    return {
+      dataKey,
+      keyHeader: {
+        source: KeySource.FILE,
+        keyId: fingerprint(fileKey),
+        ...wrapWithKey(fileKey, dataKey),
+      },
+    };
+  }
+
+  if (options.keySource === KeySource.PASSPHRASE) {
+    if (!secrets.passphrase) {
+      throw new Error(
+        "Passphrase encryption needs a passphrase (CLUSTER_ENCRYPTION_PASSPHRASE)."
+      );
+    }
+    const kdfHeader = {
+      kdf: options.kdf,
+      salt: crypto.randomBytes(16).toString("base64"),
+      ...(options.kdf === Kdf.SCRYPT ? SCRYPT_PARAMS : PBKDF2_PARAMS),
+    };
+    const wrapKey = deriveFromPassphrase(secrets.passphrase, kdfHeader);
+    return {
+      dataKey,
+      keyHeader: {
+        source: KeySource.PASSPHRASE,
+        ...kdfHeader,
+        ...wrapWithKey(wrapKey, dataKey),
+      },
+    };
+  }
+
+  if (options.keySource === KeySource.RECIPIENT) {
+    const publicKey = loadRecipientKey(options.recipientKey);
+    const keyId = fingerprint(
+      publicKey.export({ type: "spki", format: "der" })
+    );
+    if (publicKey.asymmetricKeyType === "rsa") {
+      const wrappedKey = crypto.publicEncrypt(
+        {
+          key: publicKey,
+          padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+          oaepHash: "sha256",
+        },
+        dataKey
+      );
+      return {
+        dataKey,
+        keyHeader: {
+          source: KeySource.RECIPIENT,
+          algorithm: "rsa-oaep-sha256",
+          keyId,
+          wrappedKey: wrappedKey.toString("base64"),
+        },
+      };
+    }
+    if (publicKey.asymmetricKeyType === "x25519") {
+      const ephemeral = crypto.generateKeyPairSync("x25519");
+      const salt = crypto.randomBytes(16);
+      const wrapKey = deriveX25519WrapKey(
+        ephemeral.privateKey,
+        publicKey,
+        salt
+      );
+      return {
+        dataKey,
+        keyHeader: {
+          source: KeySource.RECIPIENT,
+          algorithm: "x25519-hkdf-sha256",
+          keyId,
+          ephemeralPublicKey: ephemeral.publicKey
+            .export({ type: "spki", format: "der" })
+            .toString("base64"),
+          salt: salt.toString("base64"),
+          ...wrapWithKey(wrapKey, dataKey),
+        },
+      };
+    }
+  }
+
+  throw new Error(`Unknown key source '${options.keySource}'.`);
+}
+
+// Recovers the data key from a header's `key` entry.
+// secrets: { keyFile, passphrase, privateKey (PEM) }, whichever the key source needs.
+// Throws when the secret is missing or wrong.
+function unwrapDataKey(keyHeader, secrets = {}) {
+  if (keyHeader.source === KeySource.FILE) {
+    if (!secrets.keyFile) throw new Error("This output needs its key file.");
+    const fileKey = loadKeyFile(secrets.keyFile);
+    if (fingerprint(fileKey) !== keyHeader.keyId) {
+      throw new Error(
+        `Key file ${secrets.keyFile} is not the key this output was encrypted with (key id ${keyHeader.keyId}).`
+      );
+    }
+    return unwrapWithKey(fileKey, keyHeader);
+  }
+
+  if (keyHeader.source === KeySource.PASSPHRASE) {
+    if (!secrets.passphrase) throw new Error("This output needs a passphrase.");
+    return unwrapWithKey(
+      deriveFromPassphrase(secrets.passphrase, keyHeader),
+      keyHeader
+    );
+  }
+
+  if (keyHeader.source === KeySource.RECIPIENT) {
+    if (!secrets.privateKey) {
+      throw new Error(
+        `This output needs the private key of recipient ${keyHeader.keyId}.`
+      );
+    }
+    const privateKey = crypto.createPrivateKey(secrets.privateKey);
+    const keyId = fingerprint(
+      crypto.createPublicKey(privateKey).export({ type: "spki", format: "der" })
+    );
+    if (keyId !== keyHeader.keyId) {
+      throw new Error(
+        `The private key does not belong to recipient ${keyHeader.keyId}.`
+      );
+    }
+    if (keyHeader.algorithm === "rsa-oaep-sha256") {
+      return crypto.privateDecrypt(
+        {
+          key: privateKey,
+          padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+          oaepHash: "sha256",
+        },
+        Buffer.from(keyHeader.wrappedKey, "base64")
+      );
+    }
+    if (keyHeader.algorithm === "x25519-hkdf-sha256") {
+      const ephemeralPublicKey = crypto.createPublicKey({
+        key: Buffer.from(keyHeader.ephemeralPublicKey, "base64"),
+        format: "der",
+        type: "spki",
+      });
+      const wrapKey = deriveX25519WrapKey(
+        privateKey,
+        ephemeralPublicKey,
+        Buffer.from(keyHeader.salt, "base64")
+      );
+      return unwrapWithKey(wrapKey, keyHeader);
+    }
+    throw new Error(`Unknown key wrapping algorithm '${keyHeader.algorithm}'.`);
+  }
+
+  throw new Error(`Unknown key source '${keyHeader.source}'.`);
+}
+
+// Short description of what protects an output's data key, for logs
+function describeKey(keyHeader) {
+  if (keyHeader.source === KeySource.FILE) {
+    return `key file ${keyHeader.keyId}`;
+  }
+  if (keyHeader.source === KeySource.PASSPHRASE) {
+    return `passphrase (${keyHeader.kdf})`;
+  }
+  return `recipient key ${keyHeader.keyId} (${keyHeader.algorithm})`;
+}
+
+// --- Output Header ---
+// Creates the header and data key for a new output. `options.cipher` is one of Cipher;
+// `audio` describes the samples: { sampleRate, channels, frames, sampleFormat, layout,
+// reversed }. Returns { header, dataKey }.
+function createOutputHeader(options, secrets, audio) {
+  const { dataKey, keyHeader } = createDataKey(options, secrets);
+  const header = {
+    version: FORMAT_VERSION,
+    cipher: options.cipher,
+    segmentBytes: SEGMENT_BYTES,
+    noncePrefix: crypto.randomBytes(NONCE_PREFIX_BYTES).toString("base64"),
+    key: keyHeader,
+    audio,
+  };
+  return { header, dataKey };
+}
+
+function encodeHeader(header) {
+  const json = Buffer.from(JSON.stringify(header));
+  const prefix = Buffer.alloc(HEADER_PREFIX_BYTES);
+  MAGIC.copy(prefix, 0);
+  prefix.writeUInt32BE(json.length, MAGIC.length);
+  return Buffer.concat([prefix, json]);
+}
+
+// Whether the file starts like an encrypted output, i.e. was written by the encrypt stage
+function isEncryptedOutput(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const magic = Buffer.alloc(MAGIC.length);
+    const bytesRead = fs.readSync(fd, magic, 0, MAGIC.length, 0);
+    return bytesRead === MAGIC.length && magic.equals(MAGIC);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Reads the header of an encrypted output. Returns { header, dataOffset }, dataOffset
+// being where the ciphertext starts. Throws when the file is not an encrypted output.
+function readHeader(filePath) {
+  const fd = fs.openSync(filePath, "r");
+  try {
+    const prefix = Buffer.alloc(HEADER_PREFIX_BYTES);
+    fs.readSync(fd, prefix, 0, HEADER_PREFIX_BYTES, 0);
+    if (!prefix.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw new Error(`${filePath} is not an encrypted output.`);
+    }
+    const headerLength = prefix.readUInt32BE(MAGIC.length);
+    if (headerLength > MAX_HEADER_BYTES) {
+      throw new Error(`${filePath} has an invalid header length.`);
+    }
+    const json = Buffer.alloc(headerLength);
+    fs.readSync(fd, json, 0, headerLength, HEADER_PREFIX_BYTES);
+    const header = JSON.parse(json.toString("utf8"));
+    if (header.version !== FORMAT_VERSION) {
+      throw new Error(
+        `${filePath} uses format version ${header.version}; this version reads ${FORMAT_VERSION}.`
+      );
+    }
+    return { header, dataOffset: HEADER_PREFIX_BYTES + headerLength };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// --- Streams ---
+function checkCipher(header) {
+  if (!Object.values(Cipher).includes(header.cipher)) {
+    throw new Error(`Unknown cipher '${header.cipher}'.`);
+  }
+  if (!Number.isInteger(header.segmentBytes) || header.segmentBytes < 1) {
+    throw new Error("The header has an invalid segment size.");
+  }
+}
+
+// Nonce and additional authenticated data of segment `sequence`
+function getSegmentParams(header, headerHash, sequence, final) {
+  const nonce = Buffer.alloc(NONCE_PREFIX_BYTES + 4);
+  Buffer.from(header.noncePrefix, "base64").copy(nonce, 0);
+  nonce.writeUInt32BE(sequence, NONCE_PREFIX_BYTES);
+  const aad = Buffer.alloc(headerHash.length + 5);
+  headerHash.copy(aad, 0);
+  aad.writeUInt32BE(sequence, headerHash.length);
+  aad.writeUInt8(final ? 1 : 0, headerHash.length + 4);
+  return { nonce, aad };
+}
+
+function hashHeader(header) {
+  return crypto.createHash("sha256").update(encodeHeader(header)).digest();
+}
+
+// Splits a byte stream into segments, calling `processSegment(bytes, sequence, final)` for
+// each and pushing what it returns. A segment is only processed once the next byte has
+// arrived, so the last one is always known to be the last.
+function createSegmentTransform(segmentLength, processSegment) {
+  let pending = [];
+  let pendingLength = 0;
+  let sequence = 0;
+
+  const take = (length) => {
+    const joined = Buffer.concat(pending, pendingLength);
+    pending = [joined.subarray(length)];
+    pendingLength = joined.length - length;
+    return joined.subarray(0, length);
+  };
+
+  return new Transform({
+    transform(chunk, _, callback) {
+      pending.push(chunk);
+      pendingLength += chunk.length;
+      try {
+        while (pendingLength > segmentLength) {
+          if (sequence === 0xffffffff) {
+            throw new Error("Too many segments for one output.");
+          }
+          this.push(processSegment(take(segmentLength), sequence++, false));
+        }
+      } catch (error) {
+        callback(error);
+        return;
+      }
+      callback();
+    },
+    flush(callback) {
+      try {
+        this.push(processSegment(take(pendingLength), sequence, true));
+      } catch (error) {
+        callback(error);
+        return;
+      }
+      callback();
+    },
+  });
+}
+
+// Transform stream encrypting an output's samples into segments
+function createEncryptStream(dataKey, header) {
+  checkCipher(header);
+  const headerHash = hashHeader(header);
+  return createSegmentTransform(
+    header.segmentBytes,
+    (plaintext, sequence, final) => {
+      const { nonce, aad } = getSegmentParams(
+        header,
+        headerHash,
+        sequence,
+        final
+      );
+      const cipher = crypto.createCipheriv(header.cipher, dataKey, nonce, {
+        authTagLength: TAG_BYTES,
+      });
+      cipher.setAAD(aad, { plaintextLength: plaintext.length });
+      return Buffer.concat([
+        cipher.update(plaintext),
+        cipher.final(),
+        cipher.getAuthTag(),
+      ]);
+    }
+  );
+}
+
+// Transform stream decrypting the segments that follow an output's header. Errors when
+// a segment fails authentication or the output was cut short.
+function createDecryptStream(dataKey, header) {
+  checkCipher(header);
+  const headerHash = hashHeader(header);
+  return createSegmentTransform(
+    header.segmentBytes + TAG_BYTES,
+    (segment, sequence, final) => {
+      if (segment.length < TAG_BYTES) {
+        throw new Error(`Segment ${sequence} is truncated.`);
+      }
+      const ciphertext = segment.subarray(0, segment.length - TAG_BYTES);
+      const { nonce, aad } = getSegmentParams(
+        header,
+        headerHash,
+        sequence,
+        final
+      );
+      const decipher = crypto.createDecipheriv(header.cipher, dataKey, nonce, {
+        authTagLength: TAG_BYTES,
+      });
+      decipher.setAAD(aad, { plaintextLength: ciphertext.length });
+      decipher.setAuthTag(segment.subarray(ciphertext.length));
+      try {
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+      } catch (error) {
+        throw new Error(
+          `Segment ${sequence} failed authentication: the output was modified, reordered or cut short.`
+        );
+      }
+    }
+  );
+}
+
+module.exports = {
+  KeySource,
+  Kdf,
+  Cipher,
+  loadKeyFile,
+  loadRecipientKey,
+  createOutputHeader,
+  unwrapDataKey,
+  describeKey,
+  encodeHeader,
+  isEncryptedOutput,
+  readHeader,
+  createEncryptStream,
+  createDecryptStream,
+};
@@ -0,0 +1,456 @@
+// finalization.js
+// Post-processing that turns a job's results into its output file once every chunk is
+// done. A job's `finalization` option lists the stages to run, in order, e.g.
+//   [{ name: "normalize", params: { peak: 0.9 } }, { name: "fade", params: { outMs: 500 } },
+//    { name: "format", params: { container: "wav", encoding: "int16" } }]
+// Sample stages (reverse, normalize, fade) change the assembled samples and may come in any
+// order. Output stages (format, compress, encrypt) turn the samples into the output file;
+// they come after the sample stages, in that order. Every stage may appear once. Without
+// any stages the output is the processed samples, in order, as headerless float32.
+const fs = require("fs");
+const zlib = require("zlib");
+const { Readable, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const audioFormats = require("./audio-formats");
+const encryption = require("./encryption");
+
+const StageKind = {
+  SAMPLES: "samples",
+  OUTPUT: "output",
+};
+
+const Container = {
+  RAW: "raw",
+  WAV: "wav",
+};
+
+const Encoding = {
+  FLOAT32: "float32",
+  INT16: "int16",
+};
+
+const Compression = {
+  GZIP: "gzip",
+  BROTLI: "brotli",
+};
+
+// Output stages must come in this order
+const OUTPUT_STAGE_ORDER = ["format", "compress", "encrypt"];
+
+// --- Helpers ---
+function requireNumber(params, key, { min = -Infinity, max = Infinity } = {}) {
+  const value = params[key];
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new Error(`Parameter '${key}' must be a finite number.`);
+  }
+  if (value < min || value > max) {
+    throw new Error(`Parameter '${key}' must be between ${min} and ${max}.`);
+  }
+  return value;
+}
+
+function requireChoice(params, key, choices) {
+  if (!Object.values(choices).includes(params[key])) {
+    throw new Error(
+      `Parameter '${key}' must be one of: ${Object.values(choices).join(", ")}`
+    );
+  }
+  return params[key];
+}
+
+// --- Stage Registry ---
+// Each entry defines:
+//   kind                 StageKind.SAMPLES or StageKind.OUTPUT
+//   validate(params)     throws on bad parameters, returns them with their defaults
+// Sample stages also define:
+//   process(samples, firstFrame, params, context, state)  changes a block of interleaved
+//                        samples in place. firstFrame is the block's position in the
+//                        output; context: { sampleRate, channels, frames, mirrored }, where
+//                        `mirrored` means the stage comes before a reverse stage, so
+//                        positions count from the other end
+//   prepare(params, context, state, measure)  (optional, async) computes what process()
+//                        needs; measure(visit) calls visit(samples) on every block as the
+//                        stages before this one leave it
+const stages = new Map();
+
+function registerStage(name, definition) {
+  stages.set(name, definition);
+}
+
+// Reads the results from the last frame to the first (see writeOutput)
+registerStage("reverse", {
+  kind: StageKind.SAMPLES,
+  validate() {
+    return {};
+  },
+  process() {},
+});
+
+// Scales the whole output so its peak reaches `peak`
+registerStage("normalize", {
+  kind: StageKind.SAMPLES,
+  validate(params) {
+    const spec = { peak: 1, ...params };
+    requireNumber(spec, "peak", { min: 0.000001, max: 1 });
+    return { peak: spec.peak };
+  },
+  async prepare(params, context, state, measure) {
+    let peak = 0;
+    await measure((samples) => {
+      for (let i = 0; i < samples.length; i++) {
+        const magnitude = Math.abs(samples[i]);
+        if (magnitude > peak) peak = magnitude;
+      }
+    });
+    state.gain = peak > 0 ? params.peak / peak : 1;
+  },
+  process(samples, firstFrame, params, context, state) {
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = samples[i] * state.gain;
+    }
+  },
+});
+
+// Linear fade in over the first `inMs` and fade out over the last `outMs` milliseconds
+registerStage("fade", {
+  kind: StageKind.SAMPLES,
+  validate(params) {
+    const spec = { inMs: 0, outMs: 0, ...params };
+    requireNumber(spec, "inMs", { min: 0 });
+    requireNumber(spec, "outMs", { min: 0 });
+    if (spec.inMs === 0 && spec.outMs === 0) {
+      throw new Error("Set 'inMs', 'outMs' or both.");
+    }
+    return { inMs: spec.inMs, outMs: spec.outMs };
+  },
+  process(samples, firstFrame, params, context) {
+    const { channels, frames, sampleRate, mirrored } = context;
+    const inFrames = Math.round((params.inMs * sampleRate) / 1000);
+    const outFrames = Math.round((params.outMs * sampleRate) / 1000);
+    const blockFrames = samples.length / channels;
+    for (let frame = 0; frame < blockFrames; frame++) {
+      const outputFrame = firstFrame + frame;
+      const position = mirrored ? frames - 1 - outputFrame : outputFrame;
+      let gain = 1;
+      if (position < inFrames) gain *= position / inFrames;
+      if (frames - 1 - position < outFrames) {
+        gain *= (frames - 1 - position) / outFrames;
+      }
+      if (gain === 1) continue;
+      for (let c = 0; c < channels; c++) {
+        samples[frame * channels + c] *= gain;
+      }
+    }
+  },
+});
+
+// Headerless samples or a WAV file, as float32 or 16-bit integers
+registerStage("format", {
+  kind: StageKind.OUTPUT,
+  validate(params) {
+    const spec = {
+      container: Container.RAW,
+      encoding: Encoding.FLOAT32,
+      ...params,
+    };
+    requireChoice(spec, "container", Container);
+    requireChoice(spec, "encoding", Encoding);
+    return { container: spec.container, encoding: spec.encoding };
+  },
+});
+
+registerStage("compress", {
+  kind: StageKind.OUTPUT,
+  validate(params) {
+    const spec = { algorithm: Compression.GZIP, ...params };
+    requireChoice(spec, "algorithm", Compression);
+    return { algorithm: spec.algorithm };
+  },
+});
+
+// Encrypted as the job's encryption option says (see encryption.js)
+registerStage("encrypt", {
+  kind: StageKind.OUTPUT,
+  validate() {
+    return {};
+  },
+});
+
+// --- Public API ---
+// Checks a job's finalization option and fills in the stages' defaults (throws when
+// invalid). Returns the list of { name, params }.
+function validateFinalization(spec) {
+  if (!Array.isArray(spec)) {
+    throw new Error("'finalization' must be an array of stages.");
+  }
+  const seen = new Set();
+  let lastOutputStage = -1;
+  return spec.map((stage) => {
+    if (!stage || typeof stage.name !== "string") {
+      throw new Error("Every finalization stage needs a 'name'.");
+    }
+    const definition = stages.get(stage.name);
+    if (!definition) {
+      throw new Error(
+        `Unknown finalization stage '${
+          stage.name
+        }'. Expected one of: ${Array.from(stages.keys()).join(", ")}`
+      );
+    }
+    if (seen.has(stage.name)) {
+      throw new Error(`Finalization stage '${stage.name}' appears twice.`);
+    }
+    seen.add(stage.name);
+    const params = stage.params || {};
+    if (typeof params !== "object" || Array.isArray(params)) {
+      throw new Error(
+        `Finalization stage '${stage.name}' params must be an object.`
+      );
+    }
+
+    const order = OUTPUT_STAGE_ORDER.indexOf(stage.name);
+    if (definition.kind === StageKind.SAMPLES && lastOutputStage !== -1) {
+      throw new Error(
+        `Finalization stage '${
+          stage.name
+        }' must come before ${OUTPUT_STAGE_ORDER.join(", ")}.`
+      );
+    }
+    if (order !== -1 && order < lastOutputStage) {
+      throw new Error(
+        `Finalization stages ${OUTPUT_STAGE_ORDER.join(
+          ", "
+        )} must come in this order.`
+      );
+    }
+    if (order !== -1) lastOutputStage = order;
+
+    try {
+      return { name: stage.name, params: definition.validate(params) };
+    } catch (error) {
+      throw new Error(
+        `Invalid '${stage.name}' finalization stage: ${error.message}`
+      );
+    }
+  });
+}
+
+function findStage(finalization, name) {
+  return finalization.find((stage) => stage.name === name) || null;
+}
+
+function hasStage(finalization, name) {
+  return findStage(finalization, name) !== null;
+}
+
+// Describes the samples of an output produced by `finalization`: the header written into
+// encrypted outputs (see encryption.js), and what createDecodeStreams() reads back.
+// `source`: { sampleRate, channels, frames } of the assembled results.
+function describeOutput(finalization, source) {
+  const format = findStage(finalization, "format");
+  const compress = findStage(finalization, "compress");
+  const encoding = format ? format.params.encoding : Encoding.FLOAT32;
+  return {
+    sampleRate: source.sampleRate,
+    channels: source.channels,
+    frames: source.frames,
+    sampleFormat: `${encoding}le`,
+    layout: audioFormats.ChannelLayout.INTERLEAVED,
+    reversed: hasStage(finalization, "reverse"),
+    container: format ? format.params.container : Container.RAW,
+    compression: compress ? compress.params.algorithm : null,
+  };
+}
+
+// File extension for an output produced by `finalization`, e.g. ".wav.gz"
+function getOutputExtension(finalization) {
+  if (hasStage(finalization, "encrypt")) return ".enc";
+  const audio = describeOutput(finalization, {});
+  const compressionExtensions = { gzip: ".gz", brotli: ".br" };
+  return `.${audio.container}${
+    audio.compression ? compressionExtensions[audio.compression] : ""
+  }`;
+}
+
+function getWavHeader(audio) {
+  return audioFormats.createWavHeader({
+    sampleRate: audio.sampleRate,
+    channels: audio.channels,
+    frames: audio.frames,
+    encoding:
+      audio.sampleFormat === "int16le" ? Encoding.INT16 : Encoding.FLOAT32,
+  });
+}
+
+function encodeSamples(samples, sampleFormat) {
+  if (sampleFormat !== "int16le") return audioFormats.float32ToBuffer(samples);
+  const encoded = new Int16Array(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const value = Math.max(-1, Math.min(1, samples[i]));
+    encoded[i] = Math.round(value * 32767);
+  }
+  return Buffer.from(encoded.buffer);
+}
+
+// Runs `finalization` over the results and writes the output file.
+// options:
+//   readSamples(reverse)  async iterable of the results as interleaved Float32Arrays, from
+//                         the first frame or, with `reverse`, the last one (reversed frame
+//                         by frame). Called once per pass; normalize needs an extra pass.
+//   source                { sampleRate, channels, frames } of the results
+//   outputPath            the file to write
+//   encryption, secrets   for the encrypt stage (see encryption.createOutputHeader)
+// Returns { audio, header }: the output's description and, when encrypted, its header.
+async function writeOutput(finalization, options) {
+  const { readSamples, source, outputPath } = options;
+  const sampleStages = finalization.filter(
+    (stage) => stages.get(stage.name).kind === StageKind.SAMPLES
+  );
+  const reverseIndex = sampleStages.findIndex(
+    (stage) => stage.name === "reverse"
+  );
+  const states = sampleStages.map(() => ({}));
+  const contexts = sampleStages.map((_, index) => ({
+    ...source,
+    mirrored: reverseIndex > index,
+  }));
+
+  // The results with the first `count` sample stages applied
+  async function* applyStages(count) {
+    let firstFrame = 0;
+    for await (const samples of readSamples(reverseIndex !== -1)) {
+      for (let i = 0; i < count; i++) {
+        const stage = sampleStages[i];
+        stages
+          .get(stage.name)
+          .process(samples, firstFrame, stage.params, contexts[i], states[i]);
+      }
+      firstFrame += samples.length / source.channels;
+      yield samples;
+    }
+  }
+
+  for (let i = 0; i < sampleStages.length; i++) {
+    const definition = stages.get(sampleStages[i].name);
+    if (!definition.prepare) continue;
+    await definition.prepare(
+      sampleStages[i].params,
+      contexts[i],
+      states[i],
+      async (visit) => {
+        for await (const samples of applyStages(i)) visit(samples);
+      }
+    );
+  }
+
+  const audio = describeOutput(finalization, source);
+  async function* encodeOutput() {
+    if (audio.container === Container.WAV) yield getWavHeader(audio);
+    for await (const samples of applyStages(sampleStages.length)) {
+      yield encodeSamples(samples, audio.sampleFormat);
+    }
+  }
+
+  const streams = [Readable.from(encodeOutput())];
+  if (audio.compression === Compression.GZIP) {
+    streams.push(zlib.createGzip());
+  } else if (audio.compression === Compression.BROTLI) {
+    streams.push(zlib.createBrotliCompress());
+  }
+  // The header is built before the file is opened, so a missing or wrong key leaves no
+  // output behind
+  let header = null;
+  let encodedHeader = null;
+  if (hasStage(finalization, "encrypt")) {
+    const encrypted = encryption.createOutputHeader(
+      options.encryption,
+      options.secrets,
+      audio
+    );
+    header = encrypted.header;
+    encodedHeader = encryption.encodeHeader(header);
+    streams.push(encryption.createEncryptStream(encrypted.dataKey, header));
+  }
+  const output = fs.createWriteStream(outputPath);
+  try {
+    if (encodedHeader) output.write(encodedHeader);
+    await pipeline(...streams, output);
+  } catch (error) {
+    // Don't leave a truncated output that looks like a result. The file is removed once the
+    // stream has closed, so an open still in flight can't recreate it.
+    if (!output.closed) {
+      await new Promise((resolve) => {
+        output.once("close", resolve);
+        output.destroy();
+      });
+    }
+    fs.rmSync(outputPath, { force: true });
+    throw error;
+  }
+  return { audio, header };
+}
+
+// Streams that turn an output's (decrypted) contents back into interleaved float32 bytes,
+// as described by `audio` (see describeOutput). Outputs written before they recorded a
+// container or compression are headerless float32.
+function createDecodeStreams(audio) {
+  const decodeStreams = [];
+  if (audio.compression === Compression.GZIP) {
+    decodeStreams.push(zlib.createGunzip());
+  } else if (audio.compression === Compression.BROTLI) {
+    decodeStreams.push(zlib.createBrotliDecompress());
+  }
+
+  let skipBytes =
+    audio.container === Container.WAV ? getWavHeader(audio).length : 0;
+  const int16 = audio.sampleFormat === "int16le";
+  if (skipBytes === 0 && !int16) return decodeStreams;
+
+  let leftover = Buffer.alloc(0);
+  decodeStreams.push(
+    new Transform({
+      transform(chunk, _, callback) {
+        let bytes = chunk;
+        if (skipBytes > 0) {
+          const skipped = Math.min(skipBytes, bytes.length);
+          skipBytes -= skipped;
+          bytes = bytes.subarray(skipped);
+        }
+        if (!int16) {
+          callback(null, bytes);
+          return;
+        }
+        const joined =
+          leftover.length > 0 ? Buffer.concat([leftover, bytes]) : bytes;
+        const usable = joined.length - (joined.length % 2);
+        const decoded = new Float32Array(usable / 2);
+        for (let i = 0; i < decoded.length; i++) {
+          decoded[i] = joined.readInt16LE(i * 2) / 32767;
+        }
+        leftover = Buffer.from(joined.subarray(usable));
+        callback(null, audioFormats.float32ToBuffer(decoded));
+      },
+    })
+  );
+  return decodeStreams;
+}
+
+// Short description of a finalization for logs, e.g. "reverse → encrypt"
+function describeFinalization(finalization) {
+  if (finalization.length === 0) return "no stages";
+  return finalization.map((stage) => stage.name).join(" → ");
+}
+
+module.exports = {
+  Container,
+  Encoding,
+  Compression,
+  registerStage,
+  validateFinalization,
+  hasStage,
+  describeOutput,
+  getOutputExtension,
+  writeOutput,
+  createDecodeStreams,
+  describeFinalization,
+};
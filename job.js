@@ -0,0 +1,161 @@
+// job.js
+// A Job is one input file processed with one operation. Each job owns its own
+// tasks (chunks) and output files, so the server can queue several of them.
+const path = require("path");
+const { getOutputExtension } = require("./finalization");
+
+const JobStatus = {
+  QUEUED: "queued", // Waiting for an earlier job to finish (sequential scheduling)
+  LOADING: "loading", // Input file is being read and split into tasks
+  RUNNING: "running", // Tasks are being handed out to clients
+  FINALIZING: "finalizing", // All tasks done, output is being written
+  COMPLETED: "completed",
+  FAILED: "failed",
+  CANCELLED: "cancelled",
+};
+
+// How much the server trusts the results clients send back (see task-manager.js)
+const VerificationMode = {
+  NONE: "none", // Only result sizes and hashes are checked
+  SAMPLE: "sample", // The server recomputes a random fraction of the chunks itself
+  REDUNDANT: "redundant", // Every chunk is processed by two different clients and compared
+};
+
+// How a job's input is cut into tasks (see task-manager.js)
+const ChunkingMode = {
+  FIXED: "fixed", // Every chunk holds chunkSamples frames, all cut when the job loads
+  ADAPTIVE: "adaptive", // Chunks are cut on demand, sized for the client that will process them
+};
+
+// What happens to the overlap between neighbouring chunks when the results are put
+// back together (see task-manager.js)
+const OverlapMode = {
+  TRIM: "trim", // Pre- and post-roll results are dropped
+  CROSSFADE: "crossfade", // A chunk's post-roll result is crossfaded into the next chunk
+};
+
+// What happens to a job when one of its chunks has failed more than retry.maxRetries
+// times (see task-manager.js)
+const FailurePolicy = {
+  FAIL_JOB: "fail-job", // The job fails; its error and failedChunks say which chunk
+  SKIP_CHUNK: "skip-chunk", // The chunk is left silent and the job completes, listing it in failedChunks
+};
+
+const JOBS_DIR_NAME = "jobs";
+
+let nextJobId = 1;
+
+// --- Job Factory ---
+// options.inputPath     (required) WAV, AIFF or headerless float32 input file
+// options.operation     operation spec from operations.js
+// options.chunkSamples  frames (samples per channel) per task; in adaptive chunking, the size
+//                       of the first chunk a client gets
+// options.chunking      { mode: "fixed" } or { mode: "adaptive", minSamples, maxSamples, targetSeconds }
+// options.overlap       { preRoll, postRoll, mode: "trim" | "crossfade" }: frames of the
+//                       neighbouring chunks processed along with each chunk, so filters
+//                       don't restart at chunk boundaries
+// options.channels      channel count of headerless input (WAV/AIFF headers override it)
+// options.layout        how clients receive multi-channel chunks: "interleaved" or "planar"
+// options.sampleRate    sample rate of headerless input (WAV/AIFF headers override it)
+// options.outputPath    where the output is written; defaults to generated_data/jobs/<id>/result.<ext>,
+//                       the extension depending on the finalization (e.g. result.wav)
+// options.finalization  [{ name, params }]: post-processing stages that turn the results into
+//                       the output (see finalization.js); none by default
+// options.encryption    { cipher, keySource: "file" | "passphrase" | "recipient", kdf }: how the
+//                       output is encrypted and what protects its data key (see encryption.js);
+//                       only with an "encrypt" stage. The key file, passphrase and recipient
+//                       key come from the server configuration.
+// options.verification  { mode: "none" | "sample" | "redundant", fraction } (fraction: share of
+//                       chunks recomputed in "sample" mode)
+// options.priority      jobs with a higher priority get clients first (default 0)
+// options.placement     { clientIds, minCores, minFramesPerSecond }: only clients matching
+//                       all the given conditions get this job's tasks (see task-manager.js)
+// options.retry         { maxRetries, onFailure: "fail-job" | "skip-chunk" }: how often a chunk
+//                       is handed out again after its client crashed, timed out or sent back
+//                       a bad result, and what happens once it has failed that often
+// options.generateIfMissing  create a dummy input file when inputPath does not exist
+// options.id            only when restoring a job from its manifest
+function createJob(options, baseDir) {
+  if (!options || typeof options.inputPath !== "string") {
+    throw new Error("A job needs an 'inputPath'.");
+  }
+
+  // Jobs restored after a restart keep their id (see journal.js)
+  const id = options.id || nextJobId;
+  nextJobId = Math.max(nextJobId, id + 1);
+  const finalization = options.finalization || [];
+  const outputPath =
+    options.outputPath ||
+    path.join(
+      baseDir,
+      JOBS_DIR_NAME,
+      String(id),
+      `result${getOutputExtension(finalization)}`
+    );
+  const workDir = path.join(baseDir, JOBS_DIR_NAME, String(id));
+
+  return {
+    id,
+    name: options.name || path.basename(options.inputPath),
+    inputPath: options.inputPath,
+    operation: options.operation,
+    chunkSamples: options.chunkSamples,
+    chunking: options.chunking || { mode: ChunkingMode.FIXED },
+    overlap: options.overlap || {
+      preRoll: 0,
+      postRoll: 0,
+      mode: OverlapMode.TRIM,
+    },
+    sampleRate: options.sampleRate,
+    channels: options.channels,
+    layout: options.layout,
+    verification: options.verification || { mode: VerificationMode.NONE },
+    priority: options.priority || 0,
+    placement: options.placement || null,
+    retry: options.retry || {
+      maxRetries: 3,
+      onFailure: FailurePolicy.FAIL_JOB,
+    },
+    format: null, // Set from the input file's header when the job is loaded (see audio-formats.js)
+    outputPath,
+    finalization,
+    encryption: options.encryption || null,
+    generateIfMissing: Boolean(options.generateIfMissing),
+    workDir, // Scratch files while the job runs
+    resultsPath: path.join(workDir, "results.part"), // Results spilled to disk as they arrive
+    totalFrames: 0, // Frames in the input, known once the job is loaded
+    nextFrame: 0, // Where the next chunk will be cut from
+    outputBytes: 0, // Size of the results cut so far; each chunk's result follows the previous one
+    status: JobStatus.QUEUED,
+    tasks: new Map(), // Key: taskId, Value: task entry (only this job's tasks)
+    pendingTasks: new Set(), // PENDING tasks, oldest first: the queue tasks are handed out from
+    assignedTasks: new Set(), // ASSIGNED tasks, checked for timeouts and stragglers
+    totalTasks: 0,
+    completedTasks: 0,
+    completedFrames: 0,
+    failedChunks: [], // { chunkIndex, frameOffset, frames, attempts, lastError } of quarantined chunks
+    rejectedResults: 0, // Results that failed a hash check or verification
+    error: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    completedAt: null,
+  };
+}
+
+function isJobFinished(job) {
+  return (
+    job.status === JobStatus.COMPLETED ||
+    job.status === JobStatus.FAILED ||
+    job.status === JobStatus.CANCELLED
+  );
+}
+
+module.exports = {
+  JobStatus,
+  VerificationMode,
+  ChunkingMode,
+  OverlapMode,
+  FailurePolicy,
+  createJob,
+  isJobFinished,
+};
@@ -0,0 +1,185 @@
+// journal.js
+// On-disk state that lets the server pick up where it left off after a crash.
+// Every job directory (generated_data/jobs/<id>/) holds:
+//   job.json     - the job's options and last known status
+//   journal.log  - one JSON line per event: a "start" line describing the input, a "cut"
+//                  line for each chunk cut from it (chunks can be cut lazily, see
+//                  task-manager.js), a "done" line for each chunk whose result is in
+//                  results.part and a "failed" line for each chunk given up on
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_FILE = "job.json";
+const JOURNAL_FILE = "journal.log";
+
+// Job fields needed to recreate a job (see job.js), plus its status.
+const MANIFEST_FIELDS = [
+  "id",
+  "name",
+  "inputPath",
+  "operation",
+  "chunkSamples",
+  "sampleRate",
+  "channels",
+  "layout",
+  "chunking",
+  "overlap",
+  "verification",
+  "priority",
+  "placement",
+  "retry",
+  "outputPath",
+  "finalization",
+  "encryption",
+  "generateIfMissing",
+  "status",
+  "totalTasks",
+  "completedTasks",
+  "totalFrames",
+  "completedFrames",
+  "failedChunks",
+  "rejectedResults",
+  "error",
+  "createdAt",
+  "startedAt",
+  "completedAt",
+];
+
+// --- Job Manifests ---
+function writeJobManifest(job) {
+  const manifest = {};
+  for (const field of MANIFEST_FIELDS) {
+    manifest[field] = job[field];
+  }
+  fs.mkdirSync(job.workDir, { recursive: true });
+  // Write-then-rename so a crash never leaves a half-written manifest
+  const manifestPath = path.join(job.workDir, MANIFEST_FILE);
+  fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2));
+  fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+}
+
+// Reads every job manifest under `jobsDir`, ordered by job id.
+function readJobManifests(jobsDir) {
+  if (!fs.existsSync(jobsDir)) return [];
+
+  const manifests = [];
+  for (const entry of fs.readdirSync(jobsDir)) {
+    const manifestPath = path.join(jobsDir, entry, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) continue;
+    try {
+      manifests.push(JSON.parse(fs.readFileSync(manifestPath, "utf8")));
+    } catch (error) {
+      console.warn(
+        `[Journal] ⚠️ Ignoring unreadable manifest ${manifestPath}:`,
+        error.message
+      );
+    }
+  }
+  return manifests.sort((a, b) => a.id - b.id);
+}
+
+// --- Task Journal ---
+function getJournalPath(job) {
+  return path.join(job.workDir, JOURNAL_FILE);
+}
+
+// Starts a new journal for a job, replacing any previous one.
+// `layout` describes how the job was chunked, so a later resume can tell whether the
+// journaled chunk indexes still mean the same thing.
+function startJournal(job, layout) {
+  fs.mkdirSync(job.workDir, { recursive: true });
+  fs.writeFileSync(
+    getJournalPath(job),
+    JSON.stringify({ event: "start", ...layout }) + "\n"
+  );
+}
+
+// Records where newly cut chunks start and end, so a resumed job cuts them the same way.
+function appendCuts(job, cutTasks) {
+  const lines = cutTasks.map(
+    (task) =>
+      JSON.stringify({
+        event: "cut",
+        chunkIndex: task.chunkIndex,
+        frameOffset: task.frameOffset,
+        frames: task.frames,
+      }) + "\n"
+  );
+  fs.appendFileSync(getJournalPath(job), lines.join(""));
+}
+
+function appendDone(job, task) {
+  fs.appendFileSync(
+    getJournalPath(job),
+    JSON.stringify({ event: "done", chunkIndex: task.chunkIndex }) + "\n"
+  );
+}
+
+// Records a chunk that failed too often to be retried (see task-manager.js).
+function appendFailed(job, task) {
+  fs.appendFileSync(
+    getJournalPath(job),
+    JSON.stringify({
+      event: "failed",
+      chunkIndex: task.chunkIndex,
+      attempts: task.failedAttempts,
+      lastError: task.lastError,
+    }) + "\n"
+  );
+}
+
+// Returns { cuts, completed, failed }: the journaled cuts in chunk order, the set of chunk
+// indexes whose results are on disk and a Map of chunk index -> "failed" entry. Returns
+// null when there is no journal or it was written for a different input, chunking or
+// operation.
+function readJournal(job, layout) {
+  const journalPath = getJournalPath(job);
+  if (!fs.existsSync(journalPath)) return null;
+
+  const lines = fs.readFileSync(journalPath, "utf8").split("\n");
+  let start;
+  try {
+    start = JSON.parse(lines[0]);
+  } catch (error) {
+    return null;
+  }
+  for (const key of Object.keys(layout)) {
+    if (start[key] !== layout[key]) return null;
+  }
+
+  const cuts = [];
+  const completed = new Set();
+  const failed = new Map();
+  for (const line of lines.slice(1)) {
+    if (!line) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      break; // A crash can leave the last line half-written
+    }
+    if (entry.event === "cut" && entry.chunkIndex === cuts.length) {
+      cuts.push(entry);
+    } else if (entry.event === "done" && entry.chunkIndex < cuts.length) {
+      completed.add(entry.chunkIndex);
+    } else if (entry.event === "failed" && entry.chunkIndex < cuts.length) {
+      failed.set(entry.chunkIndex, entry);
+    }
+  }
+  return { cuts, completed, failed };
+}
+
+function removeJournal(job) {
+  fs.rmSync(getJournalPath(job), { force: true });
+}
+
+module.exports = {
+  writeJobManifest,
+  readJobManifests,
+  startJournal,
+  appendCuts,
+  appendDone,
+  appendFailed,
+  readJournal,
+  removeJournal,
+};
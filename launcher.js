@@ -2,11 +2,22 @@
 const { spawn } = require("child_process");
 const path = require("path");
 const fs = require("fs");
+const {
+  CONFIG_ENV,
+  getConfig,
+  getConfigFilePath,
+  printConfig,
+} = require("./config");
 
 // --- Configuration ---
+// Set in a config file, CLUSTER_* environment variables or flags such as --clients
+// (see config.js). The clients read their own section of the same config file.
+const config = getConfig("launcher");
+printConfig("launcher");
 const CLIENT_SCRIPT = path.join(__dirname, "client.js"); // Path to your client script
-const LOG_DIR = path.join(__dirname, "client_logs"); // Directory for client logs
-const NUM_CLIENTS = 5; // Fixed number of clients to launch by default
+const LOG_DIR = config.logDir; // Directory for client logs
+const NUM_CLIENTS = config.clients; // Number of clients to launch (5 by default)
+const CONFIG_FILE_PATH = getConfigFilePath("launcher");
 
 // Ensure log directory exists
 if (!fs.existsSync(LOG_DIR)) {
@@ -55,6 +66,10 @@ for (let i = 1; i <= NUM_CLIENTS; i++) {
     [CLIENT_SCRIPT, `--id=${clientId}`, `--nickname=client-${clientId}`],
     {
       detached: false, // Keep child processes attached to the parent's event loop
+      // Hand the launcher's config file on to the clients
+      env: CONFIG_FILE_PATH
+        ? { ...process.env, [CONFIG_ENV]: CONFIG_FILE_PATH }
+        : process.env,
       // stdio: ['pipe', stdoutFd, stderrFd] means:
       // 0 (stdin): pipe
       // 1 (stdout): redirect to stdoutFd (file descriptor)
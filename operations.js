@@ -0,0 +1,366 @@
+// operations.js
+// Registry of the DSP operations a client can run on a chunk of float samples.
+// The server picks an operation per job and sends its spec in the task header,
+// so both sides share this module to agree on names, parameters and output size.
+
+// An operation spec looks like: { name: "gain", params: { gain: 0.5 } }
+// A chain of operations:        { name: "chain", params: { steps: [spec, spec] } }
+
+const DEFAULT_OPERATION = { name: "invert", params: {} };
+
+// --- Helpers ---
+function requireNumber(params, key, { min = -Infinity, max = Infinity } = {}) {
+  const value = params[key];
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    throw new Error(`Parameter '${key}' must be a finite number.`);
+  }
+  if (value < min || value > max) {
+    throw new Error(`Parameter '${key}' must be between ${min} and ${max}.`);
+  }
+  return value;
+}
+
+// RBJ audio-EQ-cookbook biquad, direct form I. Runs in place.
+function applyBiquad(samples, coefficients) {
+  const { b0, b1, b2, a1, a2 } = coefficients;
+  let x1 = 0;
+  let x2 = 0;
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x0 = samples[i];
+    const y0 = b0 * x0 + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    x2 = x1;
+    x1 = x0;
+    y2 = y1;
+    y1 = y0;
+    samples[i] = y0;
+  }
+  return samples;
+}
+
+function biquadCoefficients(type, frequency, q, sampleRate) {
+  const w0 = (2 * Math.PI * frequency) / sampleRate;
+  const cosW0 = Math.cos(w0);
+  const alpha = Math.sin(w0) / (2 * q);
+  const a0 = 1 + alpha;
+
+  let b0, b1, b2;
+  if (type === "lowpass") {
+    b0 = (1 - cosW0) / 2;
+    b1 = 1 - cosW0;
+    b2 = (1 - cosW0) / 2;
+  } else {
+    b0 = (1 + cosW0) / 2;
+    b1 = -(1 + cosW0);
+    b2 = (1 + cosW0) / 2;
+  }
+
+  return {
+    b0: b0 / a0,
+    b1: b1 / a0,
+    b2: b2 / a0,
+    a1: (-2 * cosW0) / a0,
+    a2: (1 - alpha) / a0,
+  };
+}
+
+function validateBiquadParams(params, context) {
+  requireNumber(params, "frequency", { min: 1, max: context.sampleRate / 2 });
+  if (params.q !== undefined) {
+    requireNumber(params, "q", { min: 0.01, max: 100 });
+  }
+}
+
+function makeBiquadOperation(type) {
+  return {
+    validate: validateBiquadParams,
+    process(samples, params, context) {
+      const q = params.q === undefined ? Math.SQRT1_2 : params.q;
+      const coefficients = biquadCoefficients(
+        type,
+        params.frequency,
+        q,
+        context.sampleRate
+      );
+      return applyBiquad(samples, coefficients);
+    },
+  };
+}
+
+// --- Operation Registry ---
+// `context` holds the job's sampleRate, startFrame (where the samples start in the job's
+// input, 0 when unset) and, once the input is known, maxChunks: the most chunks it may be
+// cut into. Each entry may define:
+//   validate(params, context)          throws on bad parameters
+//   process(samples, params, context)  processes one channel, returns the processed Float32Array
+//                                      (may be the same array)
+//   processChannels(channels, params, context)  processes all channels at once instead, for
+//                                      operations that link them (e.g. normalize)
+//   outputLength(length, params, context)  samples per channel produced for `length` input samples
+//   outputContext(params, context)     context seen by the next step of a chain (e.g. new sample rate)
+const operations = new Map();
+
+function registerOperation(name, definition) {
+  if (
+    typeof definition.process !== "function" &&
+    typeof definition.processChannels !== "function"
+  ) {
+    throw new Error(
+      `Operation '${name}' must define a process() or processChannels() function.`
+    );
+  }
+  operations.set(name, definition);
+}
+
+registerOperation("invert", {
+  process(samples) {
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = samples[i] * -1;
+    }
+    return samples;
+  },
+});
+
+// Linear gain, given either as a factor (`gain`) or in decibels (`db`).
+registerOperation("gain", {
+  validate(params) {
+    if (params.db !== undefined) {
+      requireNumber(params, "db", { min: -120, max: 60 });
+    } else {
+      requireNumber(params, "gain");
+    }
+  },
+  process(samples, params) {
+    const factor =
+      params.db !== undefined ? Math.pow(10, params.db / 20) : params.gain;
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = samples[i] * factor;
+    }
+    return samples;
+  },
+});
+
+// Peak normalization to `peak` (default 1.0). The peak is measured per chunk, across all
+// channels, so the balance between channels is kept. Chunks of one input would each get
+// their own gain, so only jobs of a single chunk may use it.
+registerOperation("normalize", {
+  validate(params, context) {
+    if (params.peak !== undefined) {
+      requireNumber(params, "peak", { min: 0, max: 1 });
+    }
+    if (context.maxChunks > 1) {
+      throw new Error(
+        `The peak is measured per chunk, so it only runs on jobs of a single chunk (this input may be cut into ${context.maxChunks.toLocaleString()}). Use the 'normalize' finalization stage to normalize the whole output.`
+      );
+    }
+  },
+  processChannels(channels, params) {
+    const target = params.peak === undefined ? 1 : params.peak;
+    let currentPeak = 0;
+    for (const samples of channels) {
+      for (let i = 0; i < samples.length; i++) {
+        const magnitude = Math.abs(samples[i]);
+        if (magnitude > currentPeak) currentPeak = magnitude;
+      }
+    }
+    if (currentPeak === 0) return channels;
+
+    const factor = target / currentPeak;
+    for (const samples of channels) {
+      for (let i = 0; i < samples.length; i++) {
+        samples[i] = samples[i] * factor;
+      }
+    }
+    return channels;
+  },
+});
+
+registerOperation("lowpass", makeBiquadOperation("lowpass"));
+registerOperation("highpass", makeBiquadOperation("highpass"));
+
+// Removes the DC offset by subtracting the chunk mean.
+registerOperation("remove-dc", {
+  process(samples) {
+    if (samples.length === 0) return samples;
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) {
+      sum += samples[i];
+    }
+    const mean = sum / samples.length;
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = samples[i] - mean;
+    }
+    return samples;
+  },
+});
+
+// Linear-interpolation resampler from context.sampleRate to `rate`. Output frame n sits at
+// input position n * sampleRate / rate of the whole input, and a chunk produces the output
+// frames whose positions fall inside it, so the chunks of a job line up and add up to
+// ceil(totalFrames * rate / sampleRate) frames however the input is cut.
+// The first output frame at or after `inputFrame`:
+function toOutputFrame(inputFrame, params, context) {
+  return Math.ceil((inputFrame * params.rate) / context.sampleRate);
+}
+
+registerOperation("resample", {
+  validate(params) {
+    requireNumber(params, "rate", { min: 1000, max: 384000 });
+  },
+  outputLength(length, params, context) {
+    const start = context.startFrame || 0;
+    return (
+      toOutputFrame(start + length, params, context) -
+      toOutputFrame(start, params, context)
+    );
+  },
+  outputContext(params, context) {
+    return {
+      ...context,
+      sampleRate: params.rate,
+      startFrame: toOutputFrame(context.startFrame || 0, params, context),
+    };
+  },
+  process(samples, params, context) {
+    const start = context.startFrame || 0;
+    const outputStart = toOutputFrame(start, params, context);
+    const outputLength =
+      toOutputFrame(start + samples.length, params, context) - outputStart;
+    const output = new Float32Array(outputLength);
+    const last = samples.length - 1;
+
+    for (let i = 0; i < outputLength; i++) {
+      // Kept from going below 0 by rounding in toOutputFrame
+      const position = Math.max(
+        0,
+        ((outputStart + i) * context.sampleRate - start * params.rate) /
+          params.rate
+      );
+      const index = Math.floor(position);
+      if (index >= last) {
+        output[i] = samples[last];
+        continue;
+      }
+      const fraction = position - index;
+      output[i] =
+        samples[index] * (1 - fraction) + samples[index + 1] * fraction;
+    }
+    return output;
+  },
+});
+
+registerOperation("chain", {
+  validate(params, context) {
+    if (!Array.isArray(params.steps) || params.steps.length === 0) {
+      throw new Error(`Parameter 'steps' must be a non-empty array.`);
+    }
+    let stepContext = context;
+    for (const step of params.steps) {
+      if (step && step.name === "chain") {
+        throw new Error(`Nested chains are not supported.`);
+      }
+      validateOperation(step, stepContext);
+      stepContext = getOutputContext(step, stepContext);
+    }
+  },
+  outputLength(length, params, context) {
+    let stepLength = length;
+    let stepContext = context;
+    for (const step of params.steps) {
+      stepLength = getOutputLength(step, stepLength, stepContext);
+      stepContext = getOutputContext(step, stepContext);
+    }
+    return stepLength;
+  },
+  outputContext(params, context) {
+    let stepContext = context;
+    for (const step of params.steps) {
+      stepContext = getOutputContext(step, stepContext);
+    }
+    return stepContext;
+  },
+  processChannels(channels, params, context) {
+    let stepChannels = channels;
+    let stepContext = context;
+    for (const step of params.steps) {
+      stepChannels = applyOperation(step, stepChannels, stepContext);
+      stepContext = getOutputContext(step, stepContext);
+    }
+    return stepChannels;
+  },
+});
+
+// --- Public API ---
+function getOperation(name) {
+  const definition = operations.get(name);
+  if (!definition) {
+    throw new Error(`Unknown operation '${name}'.`);
+  }
+  return definition;
+}
+
+function validateOperation(spec, context) {
+  if (!spec || typeof spec.name !== "string") {
+    throw new Error(`Operation spec must have a 'name'.`);
+  }
+  const definition = getOperation(spec.name);
+  const params = spec.params || {};
+  if (typeof params !== "object" || Array.isArray(params)) {
+    throw new Error(`Operation '${spec.name}' params must be an object.`);
+  }
+  if (definition.validate) {
+    try {
+      definition.validate(params, context);
+    } catch (error) {
+      throw new Error(`Invalid '${spec.name}' operation: ${error.message}`);
+    }
+  }
+}
+
+function getOutputLength(spec, length, context) {
+  const definition = getOperation(spec.name);
+  if (!definition.outputLength) return length;
+  return definition.outputLength(length, spec.params || {}, context);
+}
+
+function getOutputContext(spec, context) {
+  const definition = getOperation(spec.name);
+  if (!definition.outputContext) return context;
+  return definition.outputContext(spec.params || {}, context);
+}
+
+function listOperations() {
+  return Array.from(operations.keys());
+}
+
+// Names of every operation a spec runs, including the steps of a chain.
+function getOperationNames(spec) {
+  if (spec.name !== "chain") return [spec.name];
+  const steps = (spec.params && spec.params.steps) || [];
+  return [spec.name, ...steps.flatMap((step) => getOperationNames(step))];
+}
+
+// Runs an operation on a chunk given as one Float32Array per channel, and returns the
+// processed channels in the same form.
+function applyOperation(spec, channels, context) {
+  const definition = getOperation(spec.name);
+  const params = spec.params || {};
+  if (definition.processChannels) {
+    return definition.processChannels(channels, params, context);
+  }
+  return channels.map((samples) =>
+    definition.process(samples, params, context)
+  );
+}
+
+module.exports = {
+  DEFAULT_OPERATION,
+  registerOperation,
+  validateOperation,
+  getOutputLength,
+  getOutputContext,
+  applyOperation,
+  listOperations,
+  getOperationNames,
+};
@@ -0,0 +1,340 @@
+// protocol.js
+// The binary WebSocket protocol spoken between server.js and client.js. Both sides
+// build and parse every frame with the functions below, so the layout lives in one place.
+//
+// Every frame starts with the same 8-byte header (all integers big-endian):
+//   [type u16][flags u16][peerId u32][body]
+// `peerId` is the sender's id for client frames and the recipient's id for server
+// frames; it is 0 until the server has assigned one in the handshake acknowledgement.
+// `flags` is a bit field; FrameFlag.COMPRESSED marks TASK_DATA and SUBMIT_RESULT frames
+// whose samples are compressed. The other bits are reserved and always 0.
+//
+// Bodies by message type:
+//   0   HANDSHAKE           client -> server  JSON { version, nickname, concurrency?, capabilities?, clientId?, proof?, sessionToken?, compression? }
+//   1   REQUEST_TASK        client -> server  JSON { count? }
+//   2   SUBMIT_RESULT_JSON  client -> server  JSON { taskId, result: <base64 float32>, inputHash?, resultHash?, processingMs? } (older clients)
+//   3   SUBMIT_RESULT       client -> server  [taskId u32][resultLength u32][processingMs u32][inputHash 32 bytes][resultHash 32 bytes][float32 samples or compressed block]
+//   100 TASK_DATA           server -> client  [taskId u32][taskHeaderLength u32][task header JSON][float32 samples or compressed block]
+//   101 STATUS              server -> client  JSON { type: "no-task" | "completion", message }
+//   102 HANDSHAKE_ACK       server -> client  JSON { version, heartbeatIntervalMs?, sessionToken?, sessionGraceMs?, resumed?, compression? } (the assigned id is in the header)
+//   103 ERROR               server -> client  JSON { code, message }; the server closes the connection after it
+//   104 CHALLENGE           server -> client  JSON { challenge, authRequired }, sent as soon as a client connects
+//
+// A client waits for the CHALLENGE before sending its HANDSHAKE. When the server requires
+// authentication, the handshake names the client's id and answers the challenge with an
+// HMAC of it (see auth.js). From then on the connection is bound to the assigned peer id:
+// the server drops frames whose header carries any other id.
+//
+// The task header carries `inputHash`, the SHA-256 of the task's samples. Results echo
+// the hash of the samples the client actually received (inputHash) next to the hash of
+// the samples it sends back (resultHash), so the server can tell corrupted or mixed-up
+// chunks apart. Hashes are hex strings in JSON and raw 32-byte digests in binary bodies.
+//
+// The task header also carries `frames`, the number of frames in the samples: chunk sizes
+// are chosen per job (and per client with adaptive chunking), so clients must not assume
+// one. `preRoll` and `postRoll` say how many of those frames were taken from the
+// neighbouring chunks; the client processes all of them and the server trims the result.
+// Results report `processingMs`, the time the client spent on the chunk, which the server
+// uses to size that client's next chunks.
+//
+// Clients announce in their handshake how many tasks they can have in flight
+// (`concurrency`, default 1), and ask for up to that many at once with REQUEST_TASK's
+// `count`. The server answers with one TASK_DATA frame per task it hands out, followed
+// by a "no-task" STATUS when it could not hand out all of them.
+//
+// `capabilities` describes the client for the scheduler: { cores, workers,
+// framesPerSecond (benchmark throughput of one worker), operations (names it supports) }.
+//
+// The server pings every client each `heartbeatIntervalMs` (WebSocket ping frames, which
+// the ws library answers automatically) and disconnects clients that stop answering.
+// Clients can use the same interval to notice a server that went silent.
+//
+// The acknowledgement carries a `sessionToken`. A client whose connection drops sends it
+// in its next handshake; within `sessionGraceMs` the server gives it back its peer id and
+// assigned tasks (`resumed: true`), so results computed while offline can still be
+// submitted. Otherwise the client starts over with a new peer id. See sessions.js.
+//
+// The handshake's `compression` lists the codecs the client accepts, preferred first; the
+// acknowledgement's `compression` names the one the server picked, or null. Both sides may
+// then compress the samples of their TASK_DATA and SUBMIT_RESULT frames with it (see
+// compression.js), setting FrameFlag.COMPRESSED; SUBMIT_RESULT's `resultLength` counts
+// the bytes in the frame. Hashes and sizes always refer to the uncompressed samples.
+//
+// Bump PROTOCOL_VERSION whenever a frame layout changes: the server rejects clients
+// that announce a different version.
+
+const crypto = require("crypto");
+
+const PROTOCOL_VERSION = 7;
+const HEADER_BYTES = 8;
+const HASH_BYTES = 32; // SHA-256
+const RESULT_HEADER_BYTES = 12 + 2 * HASH_BYTES;
+
+const MessageType = {
+  HANDSHAKE: 0,
+  REQUEST_TASK: 1,
+  SUBMIT_RESULT_JSON: 2,
+  SUBMIT_RESULT: 3,
+  TASK_DATA: 100,
+  STATUS: 101,
+  HANDSHAKE_ACK: 102,
+  ERROR: 103,
+  CHALLENGE: 104,
+};
+
+// Bits of the header's flags
+const FrameFlag = {
+  COMPRESSED: 0x0001,
+};
+
+// Codes sent in ERROR frames
+const ErrorCode = {
+  VERSION_MISMATCH: "version-mismatch",
+  BAD_FRAME: "bad-frame",
+  AUTH_FAILED: "auth-failed",
+};
+
+// Message types whose body is a JSON document
+const JSON_MESSAGE_TYPES = new Set([
+  MessageType.HANDSHAKE,
+  MessageType.REQUEST_TASK,
+  MessageType.SUBMIT_RESULT_JSON,
+  MessageType.STATUS,
+  MessageType.HANDSHAKE_ACK,
+  MessageType.ERROR,
+  MessageType.CHALLENGE,
+]);
+
+// SHA-256 of a chunk's samples, as sent in task headers and results
+function hashChunk(buffer) {
+  return crypto.createHash("sha256").update(buffer).digest("hex");
+}
+
+// --- Frame Encoding ---
+function encodeFrame(type, peerId, body = Buffer.alloc(0), flags = 0) {
+  const frame = Buffer.alloc(HEADER_BYTES + body.length);
+  frame.writeUInt16BE(type, 0);
+  frame.writeUInt16BE(flags, 2);
+  frame.writeUInt32BE(peerId, 4);
+  body.copy(frame, HEADER_BYTES);
+  return frame;
+}
+
+function encodeJsonMessage(type, peerId, payload) {
+  return encodeFrame(
+    type,
+    peerId,
+    Buffer.from(JSON.stringify(payload || {}), "utf8")
+  );
+}
+
+// clientId and proof are only needed when the server requires authentication
+function encodeHandshake({
+  nickname,
+  concurrency,
+  capabilities,
+  clientId,
+  proof,
+  sessionToken,
+  compression,
+}) {
+  return encodeJsonMessage(MessageType.HANDSHAKE, 0, {
+    version: PROTOCOL_VERSION,
+    nickname,
+    concurrency,
+    capabilities,
+    clientId,
+    proof,
+    sessionToken,
+    compression,
+  });
+}
+
+function encodeChallenge(challenge, authRequired) {
+  return encodeJsonMessage(MessageType.CHALLENGE, 0, {
+    challenge,
+    authRequired,
+  });
+}
+
+// options.heartbeatIntervalMs  how often the server pings the client
+// options.sessionToken         token the client resumes its session with
+// options.sessionGraceMs       how long the session outlives a dropped connection
+// options.resumed              true when this handshake resumed an earlier session
+// options.compression          the codec both sides may compress samples with, or null
+function encodeHandshakeAck(peerId, options = {}) {
+  return encodeJsonMessage(MessageType.HANDSHAKE_ACK, peerId, {
+    version: PROTOCOL_VERSION,
+    ...options,
+  });
+}
+
+function encodeRequestTask(peerId, count = 1) {
+  return encodeJsonMessage(MessageType.REQUEST_TASK, peerId, { count });
+}
+
+// `result` is a compressed block (see compression.js) when `compressed` is set
+function encodeSubmitResult(
+  peerId,
+  taskId,
+  result,
+  { inputHash, resultHash, processingMs = 0, compressed = false }
+) {
+  const body = Buffer.alloc(RESULT_HEADER_BYTES + result.length);
+  body.writeUInt32BE(taskId, 0);
+  body.writeUInt32BE(result.length, 4);
+  body.writeUInt32BE(Math.min(Math.round(processingMs), 0xffffffff), 8);
+  Buffer.from(inputHash, "hex").copy(body, 12);
+  Buffer.from(resultHash, "hex").copy(body, 12 + HASH_BYTES);
+  result.copy(body, RESULT_HEADER_BYTES);
+  return encodeFrame(
+    MessageType.SUBMIT_RESULT,
+    peerId,
+    body,
+    compressed ? FrameFlag.COMPRESSED : 0
+  );
+}
+
+// taskHeader tells the client which operation to run and how the samples are laid out.
+// `samples` is a compressed block (see compression.js) when `compressed` is set.
+function encodeTaskData(
+  peerId,
+  taskId,
+  taskHeader,
+  samples,
+  { compressed = false } = {}
+) {
+  const headerBuffer = Buffer.from(JSON.stringify(taskHeader), "utf8");
+  const body = Buffer.alloc(8 + headerBuffer.length + samples.length);
+  body.writeUInt32BE(taskId, 0);
+  body.writeUInt32BE(headerBuffer.length, 4);
+  headerBuffer.copy(body, 8);
+  samples.copy(body, 8 + headerBuffer.length);
+  return encodeFrame(
+    MessageType.TASK_DATA,
+    peerId,
+    body,
+    compressed ? FrameFlag.COMPRESSED : 0
+  );
+}
+
+function encodeStatus(peerId, payload) {
+  return encodeJsonMessage(MessageType.STATUS, peerId, payload);
+}
+
+function encodeError(peerId, code, message) {
+  return encodeJsonMessage(MessageType.ERROR, peerId, { code, message });
+}
+
+// --- Frame Decoding ---
+// JSON.parse, but only for objects: every JSON body and task header is one, and handlers
+// read their fields without checking for null, numbers or arrays first
+function parseJsonObject(text) {
+  const value = JSON.parse(text);
+  if (value === null || typeof value !== "object" || Array.isArray(value)) {
+    throw new Error("expected a JSON object.");
+  }
+  return value;
+}
+
+// Returns { type, flags, peerId } plus the decoded body:
+//   JSON messages  -> payload
+//   SUBMIT_RESULT  -> taskId, processingMs, inputHash, resultHash (hex), result (Buffer), compressed
+//   TASK_DATA      -> taskId, taskHeader, samples (Buffer), compressed
+//   anything else  -> body (Buffer)
+// `compressed` is set when the samples are a compressed block, which is left to the
+// receiver: it decompresses them with compression.decompressSamples once it knows the
+// sender negotiated a codec and how large the samples may be. `wireBytes` says how many
+// bytes the samples took in the frame. Throws if the frame is truncated or its body
+// cannot be parsed.
+function decodeMessage(buffer) {
+  if (buffer.length < HEADER_BYTES) {
+    throw new Error(
+      `Frame of ${buffer.length} bytes is shorter than the ${HEADER_BYTES}-byte header.`
+    );
+  }
+  const message = {
+    type: buffer.readUInt16BE(0),
+    flags: buffer.readUInt16BE(2),
+    peerId: buffer.readUInt32BE(4),
+  };
+  const body = buffer.subarray(HEADER_BYTES);
+
+  if (JSON_MESSAGE_TYPES.has(message.type)) {
+    try {
+      message.payload =
+        body.length > 0 ? parseJsonObject(body.toString("utf8")) : {};
+    } catch (error) {
+      throw new Error(
+        `Message type ${message.type} has an invalid JSON body: ${error.message}`
+      );
+    }
+  } else if (message.type === MessageType.SUBMIT_RESULT) {
+    if (body.length < RESULT_HEADER_BYTES) {
+      throw new Error("Result frame is too short for its header.");
+    }
+    message.taskId = body.readUInt32BE(0);
+    const resultLength = body.readUInt32BE(4);
+    if (body.length - RESULT_HEADER_BYTES !== resultLength) {
+      throw new Error(
+        `Result for Task #${
+          message.taskId
+        } announces ${resultLength} bytes but carries ${
+          body.length - RESULT_HEADER_BYTES
+        }.`
+      );
+    }
+    message.processingMs = body.readUInt32BE(8);
+    message.inputHash = body.subarray(12, 12 + HASH_BYTES).toString("hex");
+    message.resultHash = body
+      .subarray(12 + HASH_BYTES, RESULT_HEADER_BYTES)
+      .toString("hex");
+    message.compressed = Boolean(message.flags & FrameFlag.COMPRESSED);
+    message.wireBytes = resultLength;
+    message.result = body.subarray(RESULT_HEADER_BYTES);
+  } else if (message.type === MessageType.TASK_DATA) {
+    if (body.length < 8) {
+      throw new Error("Task frame is too short for its header.");
+    }
+    message.taskId = body.readUInt32BE(0);
+    const taskHeaderLength = body.readUInt32BE(4);
+    if (body.length < 8 + taskHeaderLength) {
+      throw new Error(`Task #${message.taskId} has a truncated task header.`);
+    }
+    try {
+      message.taskHeader = parseJsonObject(
+        body.subarray(8, 8 + taskHeaderLength).toString("utf8")
+      );
+    } catch (error) {
+      throw new Error(
+        `Task #${message.taskId} has an invalid task header: ${error.message}`
+      );
+    }
+    message.compressed = Boolean(message.flags & FrameFlag.COMPRESSED);
+    message.wireBytes = body.length - 8 - taskHeaderLength;
+    message.samples = body.subarray(8 + taskHeaderLength);
+  } else {
+    message.body = body;
+  }
+  return message;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  HEADER_BYTES,
+  MessageType,
+  FrameFlag,
+  ErrorCode,
+  hashChunk,
+  encodeFrame,
+  encodeJsonMessage,
+  encodeHandshake,
+  encodeHandshakeAck,
+  encodeChallenge,
+  encodeRequestTask,
+  encodeSubmitResult,
+  encodeTaskData,
+  encodeStatus,
+  encodeError,
+  decodeMessage,
+};
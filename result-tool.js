@@ -0,0 +1,355 @@
+// result-tool.js
+// Decrypts and inspects job outputs (see encryption.js) away from the server. Prints the
+// output's header and statistics of its samples and, with --output, writes the samples as
+// headerless float32 or float WAV, whatever container, encoding and compression they were
+// encrypted with (see finalization.js), e.g.
+//   npm run result -- --input result.enc --output take1.wav --unreverse
+// Keys and passphrases default to the server's (from the same config file or CLUSTER_*
+// environment variables), so outputs of the local server decrypt without extra flags.
+// Outputs of jobs without the encrypt stage are read as they are: WAV outputs carry their
+// format, raw ones are float32 with --channels and --sample-rate. They don't record whether
+// they were reversed, so --unreverse always reverses them. Compressed ones have to be
+// decompressed first.
+const fs = require("fs");
+const path = require("path");
+const { Writable } = require("stream");
+const { pipeline } = require("stream/promises");
+const encryption = require("./encryption");
+const finalization = require("./finalization");
+const audioFormats = require("./audio-formats");
+const { getConfig, getConfigFilePath, loadConfig } = require("./config");
+
+const FLOAT_SIZE = audioFormats.FLOAT_SIZE;
+const REVERSE_BLOCK_FRAMES = 65536; // Frames swapped at a time when undoing the reversal
+
+// --- Configuration ---
+const config = getConfig("resultTool");
+
+// The settings of the server the defaults come from: its key file, passphrase and sample
+// rate. Missing or invalid server configuration just means no defaults.
+function getServerSettings() {
+  const configPath = getConfigFilePath("resultTool");
+  try {
+    const serverConfig = loadConfig("server", {
+      argv: configPath ? ["--config", configPath] : [],
+    });
+    return {
+      keyFile: serverConfig.encryptionKeyFile,
+      passphrase: serverConfig.encryptionPassphrase,
+      sampleRate: serverConfig.sampleRate,
+    };
+  } catch (error) {
+    return {};
+  }
+}
+
+// --- Helpers ---
+function toDecibels(value) {
+  return value > 0
+    ? `${(20 * Math.log10(value)).toFixed(2)} dBFS`
+    : "-inf dBFS";
+}
+
+// Collects peak and RMS per channel from interleaved float32 bytes, which may arrive
+// split anywhere.
+function createStats(channels) {
+  const stats = {
+    samples: 0,
+    nonFinite: 0,
+    peaks: new Array(channels).fill(0),
+    sumSquares: new Array(channels).fill(0),
+  };
+  let leftover = Buffer.alloc(0);
+
+  stats.add = (bytes) => {
+    const joined =
+      leftover.length > 0 ? Buffer.concat([leftover, bytes]) : bytes;
+    const usable = joined.length - (joined.length % FLOAT_SIZE);
+    const samples = audioFormats.bufferToFloat32(joined.subarray(0, usable));
+    for (let i = 0; i < samples.length; i++) {
+      const channel = (stats.samples + i) % channels;
+      const value = samples[i];
+      if (!Number.isFinite(value)) {
+        stats.nonFinite++;
+        continue;
+      }
+      const magnitude = Math.abs(value);
+      if (magnitude > stats.peaks[channel]) stats.peaks[channel] = magnitude;
+      stats.sumSquares[channel] += value * value;
+    }
+    stats.samples += samples.length;
+    leftover = Buffer.from(joined.subarray(usable));
+  };
+  return stats;
+}
+
+// Describes an output written without the encrypt stage like an encrypted output's header
+// would. Returns { audio, dataOffset, dataLength }.
+function describePlainOutput(filePath, sampleRate) {
+  if (/\.(gz|br)$/i.test(filePath)) {
+    throw new Error(
+      `${filePath} is compressed and not encrypted: decompress it first (gunzip or brotli -d).`
+    );
+  }
+  const info = audioFormats.readAudioInfo(filePath, {
+    sampleRate,
+    channels: config.channels,
+  });
+  const int16 = info.sampleFormat === "int" && info.bitDepth === 16;
+  const float32 = info.sampleFormat === "float" && info.bitDepth === 32;
+  if (info.container === "aiff" || info.bigEndian || !(int16 || float32)) {
+    throw new Error(
+      `${filePath} is not a job output: expected float32 or int16 samples in a raw or WAV file.`
+    );
+  }
+  return {
+    audio: {
+      sampleRate: info.sampleRate,
+      channels: info.channels,
+      frames: audioFormats.getFrameCount(info),
+      sampleFormat: int16 ? "int16le" : "float32le",
+      layout: audioFormats.ChannelLayout.INTERLEAVED,
+      reversed: null, // Not recorded
+      container: info.container,
+      compression: null,
+    },
+    dataOffset: info.dataOffset,
+    dataLength: info.dataLength,
+  };
+}
+
+// Reverses the order of the frames in `buffer`, keeping the channel order inside each frame
+function reverseFrames(buffer, frameBytes) {
+  const reversed = Buffer.alloc(buffer.length);
+  const frames = buffer.length / frameBytes;
+  for (let frame = 0; frame < frames; frame++) {
+    buffer.copy(
+      reversed,
+      (frames - 1 - frame) * frameBytes,
+      frame * frameBytes,
+      (frame + 1) * frameBytes
+    );
+  }
+  return reversed;
+}
+
+// Reverses the frames stored from `dataOffset` on in place, swapping blocks from both ends
+// so only two blocks are in memory.
+async function reverseFileFrames(filePath, dataOffset, frames, frameBytes) {
+  const fd = await fs.promises.open(filePath, "r+");
+  try {
+    let low = 0;
+    let high = frames;
+    while (high - low >= 2) {
+      const count = Math.min(
+        REVERSE_BLOCK_FRAMES,
+        Math.floor((high - low) / 2)
+      );
+      const length = count * frameBytes;
+      const lowOffset = dataOffset + low * frameBytes;
+      const highOffset = dataOffset + (high - count) * frameBytes;
+      const lowBlock = Buffer.alloc(length);
+      const highBlock = Buffer.alloc(length);
+      await fd.read(lowBlock, 0, length, lowOffset);
+      await fd.read(highBlock, 0, length, highOffset);
+      await fd.write(
+        reverseFrames(highBlock, frameBytes),
+        0,
+        length,
+        lowOffset
+      );
+      await fd.write(
+        reverseFrames(lowBlock, frameBytes),
+        0,
+        length,
+        highOffset
+      );
+      low += count;
+      high -= count;
+    }
+  } finally {
+    await fd.close();
+  }
+}
+
+// --- Main ---
+async function main() {
+  if (!config.input) {
+    throw new Error(
+      "Name the output to read with --input <result.raw> (or CLUSTER_RESULT_INPUT)."
+    );
+  }
+  // Both only change what is written, so without a file they would silently do nothing
+  if ((config.unreverse || config.format) && !config.output) {
+    throw new Error(
+      "--unreverse and --format apply to the written samples: name the file with --output."
+    );
+  }
+  const serverSettings = getServerSettings();
+  const encrypted = encryption.isEncryptedOutput(config.input);
+  let header = null;
+  let dataOffset = 0;
+  let plain = null;
+  if (encrypted) {
+    ({ header, dataOffset } = encryption.readHeader(config.input));
+  } else {
+    plain = describePlainOutput(
+      config.input,
+      config.sampleRate || serverSettings.sampleRate
+    );
+  }
+  const audio = encrypted ? header.audio : plain.audio;
+  const frameBytes = audio.channels * FLOAT_SIZE;
+  console.log(`📄 ${config.input}`);
+  if (encrypted) {
+    console.log(
+      `🔐 ${header.cipher} in ${
+        header.segmentBytes / 1024
+      } KB segments, data key protected by ${encryption.describeKey(
+        header.key
+      )}`
+    );
+  } else {
+    console.log(`🔓 Not encrypted`);
+  }
+  console.log(
+    `🎵 ${audio.frames.toLocaleString()} frames of ${
+      audio.channels
+    } channel(s) at ${audio.sampleRate.toLocaleString()} Hz (${
+      audio.sampleFormat
+    }, ${audio.layout}${audio.container ? `, ${audio.container}` : ""}${
+      audio.compression ? `, ${audio.compression}` : ""
+    }${audio.reversed ? ", reversed" : ""})`
+  );
+
+  // The samples of the output as interleaved float32 bytes
+  let readStreams;
+  if (encrypted) {
+    const dataKey = encryption.unwrapDataKey(header.key, {
+      keyFile: config.keyFile || serverSettings.keyFile,
+      passphrase: config.passphrase || serverSettings.passphrase,
+      privateKey: config.privateKey ? fs.readFileSync(config.privateKey) : null,
+    });
+    readStreams = [
+      fs.createReadStream(config.input, { start: dataOffset }),
+      encryption.createDecryptStream(dataKey, header),
+      ...finalization.createDecodeStreams(audio),
+    ];
+  } else {
+    // The stream starts after the WAV header, so there is none to skip
+    readStreams = [
+      fs.createReadStream(config.input, {
+        start: plain.dataOffset,
+        end: plain.dataOffset + plain.dataLength - 1,
+      }),
+      ...finalization.createDecodeStreams({
+        ...audio,
+        container: finalization.Container.RAW,
+      }),
+    ];
+  }
+
+  const format =
+    config.format ||
+    (config.output && path.extname(config.output).toLowerCase() === ".wav"
+      ? "wav"
+      : "raw");
+  const stats = createStats(audio.channels);
+  let output = null;
+  let outputDataOffset = 0;
+  if (config.output) {
+    output = fs.createWriteStream(config.output);
+    if (format === "wav") {
+      const wavHeader = audioFormats.createWavHeader(audio);
+      output.write(wavHeader);
+      outputDataOffset = wavHeader.length;
+    }
+  }
+
+  // Every segment is authenticated before its samples are counted or written. A partly
+  // written output is removed, so it can't be mistaken for a complete one.
+  try {
+    await pipeline(
+      ...readStreams,
+      new Writable({
+        write(chunk, _, callback) {
+          stats.add(chunk);
+          if (output) output.write(chunk, callback);
+          else callback();
+        },
+        final(callback) {
+          if (output) output.end(callback);
+          else callback();
+        },
+      })
+    );
+    if (stats.samples !== audio.frames * audio.channels) {
+      throw new Error(
+        `Read ${stats.samples.toLocaleString()} samples, the header announces ${(
+          audio.frames * audio.channels
+        ).toLocaleString()}.`
+      );
+    }
+  } catch (error) {
+    if (output) {
+      output.destroy();
+      fs.rmSync(config.output, { force: true });
+    }
+    throw error;
+  }
+  console.log(
+    encrypted
+      ? `✅ Decrypted and authenticated ${stats.samples.toLocaleString()} samples.`
+      : `✅ Read ${stats.samples.toLocaleString()} samples.`
+  );
+
+  if (config.unreverse && audio.reversed === false) {
+    console.log(`↩️ The output is not reversed; nothing to undo.`);
+  } else if (config.unreverse && output) {
+    await reverseFileFrames(
+      config.output,
+      outputDataOffset,
+      audio.frames,
+      frameBytes
+    );
+    console.log(`↩️ Undid the reversal.`);
+  }
+  if (output) {
+    console.log(
+      `💾 Wrote ${format === "wav" ? "WAV" : "raw float32"} to ${config.output}`
+    );
+  }
+
+  // --- Statistics ---
+  const totalSquares = stats.sumSquares.reduce((sum, value) => sum + value, 0);
+  const peak = Math.max(...stats.peaks);
+  const rms = Math.sqrt(totalSquares / Math.max(1, stats.samples));
+  console.log(`📊 Samples: ${stats.samples.toLocaleString()}`);
+  console.log(`📊 Duration: ${(audio.frames / audio.sampleRate).toFixed(3)} s`);
+  console.log(`📊 Peak: ${peak.toFixed(6)} (${toDecibels(peak)})`);
+  console.log(`📊 RMS: ${rms.toFixed(6)} (${toDecibels(rms)})`);
+  if (audio.channels > 1) {
+    stats.peaks.forEach((channelPeak, channel) => {
+      const channelRms = Math.sqrt(
+        stats.sumSquares[channel] / Math.max(1, audio.frames)
+      );
+      console.log(
+        `📊 Channel ${channel + 1}: peak ${channelPeak.toFixed(
+          6
+        )} (${toDecibels(channelPeak)}), RMS ${channelRms.toFixed(
+          6
+        )} (${toDecibels(channelRms)})`
+      );
+    });
+  }
+  if (stats.nonFinite > 0) {
+    console.log(
+      `⚠️ ${stats.nonFinite.toLocaleString()} samples are NaN or infinite (left out of the statistics).`
+    );
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exitCode = 1;
+});
@@ -1,41 +1,168 @@
 // server.js
 const express = require("express");
+const fs = require("fs");
 const http = require("http");
+const https = require("https");
 const WebSocket = require("ws");
+const { getConfig, printConfig } = require("./config");
 const taskManager = require("./task-manager"); // This line is correct
+const { createApiRouter } = require("./api");
+const protocol = require("./protocol");
+const auth = require("./auth");
+const { createSessionStore } = require("./sessions");
+const compression = require("./compression");
+const { MessageType } = protocol;
 
 // --- Configuration Constants ---
-const PORT = 3000;
-
-// --- Define Server-Side Command IDs for our Binary Protocol ---
-const SERVER_COMMAND_TYPE_TASK_DATA = 100;
-const SERVER_COMMAND_TYPE_STATUS_MESSAGE = 101;
+// Set in a config file, CLUSTER_* environment variables or flags (see config.js)
+const config = getConfig("server");
+printConfig("server");
+const PORT = config.port;
+// "sequential" runs the queued jobs one after another, "interleaved" runs them all at once
+const JOB_SCHEDULING = config.scheduling;
+// Jobs queued at startup. Each one names its input file and the operation applied to every
+// chunk (see operations.js for the available ones), e.g.
+// { inputPath: "...", operation: { name: "chain", params: { steps: [{ name: "remove-dc" }, { name: "gain", params: { db: -3 } }] } } }
+const JOBS = [
+  {
+    name: "hackathon",
+    inputPath: taskManager.FILE_PATH,
+    outputPath: taskManager.RESULT_FILE_PATH,
+    // The hackathon's output: the processed samples reversed, then encrypted once an output
+    // key is configured (there is no default key, see encryption.js)
+    finalization: taskManager.hasDefaultEncryptionKey()
+      ? [{ name: "reverse" }, { name: "encrypt" }]
+      : [{ name: "reverse" }],
+    operation: { name: "invert", params: {} },
+    generateIfMissing: true, // This will also generate test.raw if it doesn't exist
+  },
+];
+
+// Client credentials for the handshake (see auth.js); null disables authentication
+const CREDENTIALS = auth.loadCredentials(config);
+// Serve HTTPS and wss:// when both are set; plain HTTP and ws:// otherwise
+const TLS_CERT_PATH = config.tlsCert;
+const TLS_KEY_PATH = config.tlsKey;
+// Cap on the task window a client announces in its handshake
+const MAX_CLIENT_CONCURRENCY = config.maxClientConcurrency;
+// Every client is pinged this often; one that missed the previous pong is disconnected.
+// Stuck tasks are looked for on the same timer (see startHeartbeats).
+const HEARTBEAT_INTERVAL_MS = config.heartbeatIntervalMs;
+// How long a dropped client keeps its peer id and tasks for a reconnect (see sessions.js)
+const SESSION_GRACE_MS = config.sessionGraceMs;
+// Codec for the samples in tasks and results, picked from the ones each client offers in
+// its handshake (see compression.js)
+const COMPRESSION = config.compression;
 
 // --- Server Setup ---
 const app = express();
-const server = http.createServer(app);
+const server = createHttpServer(app);
 const wss = new WebSocket.Server({ server });
 
+// --- Helper function to create the HTTP(S) server the API and WebSockets share ---
+function createHttpServer(requestHandler) {
+  if (!TLS_CERT_PATH && !TLS_KEY_PATH) {
+    return http.createServer(requestHandler);
+  }
+  if (!TLS_CERT_PATH || !TLS_KEY_PATH) {
+    throw new Error(
+      "TLS needs both tlsCert and tlsKey (CLUSTER_TLS_CERT and CLUSTER_TLS_KEY) to be set."
+    );
+  }
+  return https.createServer(
+    {
+      cert: fs.readFileSync(TLS_CERT_PATH),
+      key: fs.readFileSync(TLS_KEY_PATH),
+    },
+    requestHandler
+  );
+}
+
 // --- Server-Side Data Structures ---
 const clients = new Map();
-let nextPeerId = 0;
+let nextPeerId = 1; // 0 means "no peer id yet" in frame headers (see protocol.js)
 const assignedTasks = new Map(); // Key: peerId, Value: Set of taskIds assigned to that peer
+// Key: peerId, Value: the client's codec and the sample bytes sent to and received from it,
+// before and after compression (see compression.js). Kept across resumed sessions.
+const transferStats = new Map();
+// Clients whose connection dropped are only released once their session expires
+const sessions = createSessionStore({
+  graceMs: SESSION_GRACE_MS,
+  onExpire: (peerId) => {
+    console.log(
+      `⌛ Session of peer #${peerId} expired without a reconnect. Releasing its tasks.`
+    );
+    releasePeer(peerId);
+  },
+});
+
+// --- Helper function to build a Task Data message (see protocol.js) ---
+// The task header tells the client which operation to run on the samples, how many
+// frames they hold (pre- and post-roll included), where they start in the job's input and
+// how the channels are laid out in them.
+// The samples are compressed with the client's codec, if it negotiated one.
+function buildTaskMessage(task, peerId) {
+  const taskHeader = {
+    operation: task.operation,
+    frames: task.readFrames,
+    startFrame: task.readOffset,
+    preRoll: task.preRoll,
+    postRoll: task.postRoll,
+    sampleRate: task.sampleRate,
+    channels: task.channels,
+    layout: task.layout,
+  };
+  const payload = taskManager.getTaskPayload(task);
+  taskHeader.inputHash = task.inputHash; // Set by getTaskPayload
+  const stats = transferStats.get(peerId);
+  const compressed = stats
+    ? compression.compressSamples(
+        stats.codec,
+        payload,
+        compression.getSampleStride(task.channels, task.layout)
+      )
+    : null;
+  if (stats) {
+    compression.recordTransfer(
+      stats,
+      "sent",
+      payload.length,
+      compressed ? compressed.length : payload.length
+    );
+  }
+  return protocol.encodeTaskData(
+    peerId,
+    task.id,
+    taskHeader,
+    compressed || payload,
+    { compressed: compressed !== null }
+  );
+}
+
+// --- Helper function to count a client's free task slots ---
+function getFreeTaskSlots(peerId) {
+  const clientWs = clients.get(peerId);
+  const clientTasks = assignedTasks.get(peerId);
+  const inFlight = clientTasks ? clientTasks.size : 0;
+  return clientWs ? Math.max(0, clientWs.concurrency - inFlight) : 0;
+}
 
 // --- Helper function to find a suitable client for re-assignment ---
-function assignOrphanedTask(taskId) {
-  // We look for any currently connected client to give this re-queued task.
+// excludedPeerId: a client that should not get the task back (it was too slow with it)
+function assignOrphanedTask(taskId, excludedPeerId = null) {
+  // We look for any currently connected client with a free slot to give this re-queued task.
   for (let [peerId, clientWs] of clients.entries()) {
-    if (clientWs.readyState === WebSocket.OPEN) {
+    if (
+      peerId !== excludedPeerId &&
+      clientWs.readyState === WebSocket.OPEN &&
+      getFreeTaskSlots(peerId) > 0
+    ) {
       // Re-get the task from taskManager, it should now be 'pending' again
       const task = taskManager.getNextTask(peerId); // taskManager will update its status to 'assigned' again
 
       if (task) {
         // Should always be true if taskId exists and is re-queued
-        const responseBuffer = Buffer.alloc(4 + task.buffer.length); // CORRECTED: + task.buffer.length
-        responseBuffer.writeUInt16BE(SERVER_COMMAND_TYPE_TASK_DATA, 0);
-        responseBuffer.writeUInt16BE(task.id, 2);
-        task.buffer.copy(responseBuffer, 4);
-        clientWs.send(responseBuffer);
+        clientWs.send(buildTaskMessage(task, peerId));
 
         // Update assignedTasks for the new client
         let clientTasks = assignedTasks.get(peerId);
@@ -58,9 +185,236 @@ function assignOrphanedTask(taskId) {
   return false;
 }
 
+// --- Helper function to describe what compression saved on a client's connection ---
+function describeTransfer(stats) {
+  const summary = compression.summarizeTransfer(stats);
+  const toMegabytes = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+  return `${toMegabytes(
+    summary.sentBytes + summary.receivedBytes
+  )} MB of samples took ${toMegabytes(
+    summary.sentWireBytes + summary.receivedWireBytes
+  )} MB (${stats.codec || "uncompressed"}, ${toMegabytes(
+    summary.savedBytes
+  )} MB or ${summary.savedPercent}% saved)`;
+}
+
+// --- Helper function to forget a client and re-queue its tasks ---
+function releasePeer(peerId) {
+  taskManager.unregisterPeer(peerId);
+  if (transferStats.has(peerId)) {
+    console.log(
+      `📦 Peer #${peerId}: ${describeTransfer(transferStats.get(peerId))}.`
+    );
+    transferStats.delete(peerId);
+  }
+  if (!assignedTasks.has(peerId)) return;
+
+  const tasksToReassign = assignedTasks.get(peerId);
+  assignedTasks.delete(peerId);
+  console.log(
+    `🔍 Peer #${peerId} had ${tasksToReassign.size} tasks assigned. Re-queuing them.`
+  );
+
+  for (const taskId of tasksToReassign) {
+    const taskInManager = taskManager.tasks.get(taskId); // This line will now work!
+    if (!taskInManager) continue; // Its job has finished or was cancelled
+    // Tasks with a speculative copy elsewhere stay with that client instead. Tasks that
+    // failed too often are quarantined rather than re-queued (see task-manager.js).
+    if (
+      taskManager.releaseTask(
+        taskInManager,
+        peerId,
+        `client #${peerId} disconnected while processing it`
+      )
+    ) {
+      console.log(`🔄 Task #${taskId} re-queued as 'pending'.`);
+      assignOrphanedTask(taskId); // Attempt to re-assign immediately
+    } else if (taskInManager.status === taskManager.TaskStatus.FAILED) {
+      finalizeJobIfDone(taskInManager.jobId);
+    } else {
+      console.warn(
+        `Task #${taskId} from disconnected peer was already processed or is running on another client.`
+      );
+    }
+  }
+}
+
+// --- Heartbeats and stuck tasks ---
+// A client that hasn't answered the previous ping is gone, even if its TCP connection
+// never closed (a half-open connection): it is terminated and handled like any other
+// disconnect. Tasks that have taken their client too long are taken away too.
+function startHeartbeats() {
+  const timer = setInterval(() => {
+    for (const clientWs of wss.clients) {
+      if (!clientWs.isAlive) {
+        console.warn(
+          `💔 Peer #${
+            clientWs.peerId === null ? "N/A" : clientWs.peerId
+          } missed a heartbeat. Disconnecting it.`
+        );
+        clientWs.terminate();
+        continue;
+      }
+      clientWs.isAlive = false;
+      clientWs.ping();
+    }
+    reapStuckTasks();
+  }, HEARTBEAT_INTERVAL_MS);
+  wss.on("close", () => clearInterval(timer));
+}
+
+// Clients that dropped keep their tasks for the session grace window, however long they
+// have had them; onExpire releases them if the client doesn't come back
+function reapStuckTasks() {
+  const stuckTasks = taskManager.checkAndRequeueStuckTasks({
+    isPeerDetached: sessions.isDetached,
+  });
+  for (const { task, peerId, requeued } of stuckTasks) {
+    // The task is no longer the slow client's: its result would be ignored (see submitResult)
+    if (assignedTasks.has(peerId)) assignedTasks.get(peerId).delete(task.id);
+    if (requeued) {
+      assignOrphanedTask(task.id, peerId);
+    } else if (task.status === taskManager.TaskStatus.FAILED) {
+      finalizeJobIfDone(task.jobId);
+    }
+  }
+}
+
+// --- Helper function to hand a submitted result to the task manager ---
+// submission: { inputHash, resultHash, processingMs } as sent by the client (see protocol.js)
+function handleSubmittedResult(peerId, taskId, resultBuffer, submission = {}) {
+  const submittedTask = taskManager.tasks.get(taskId);
+  const accepted = taskManager.submitResult(taskId, resultBuffer, {
+    ...submission,
+    peerId,
+  });
+
+  // Drop the task from the client's assigned set once it's no longer theirs: unknown
+  // (its job is gone), accepted, or rejected and put back in the queue
+  if (
+    assignedTasks.has(peerId) &&
+    (!submittedTask ||
+      submittedTask.status !== taskManager.TaskStatus.ASSIGNED ||
+      submittedTask.assignedTo !== peerId)
+  ) {
+    assignedTasks.get(peerId).delete(taskId);
+  }
+
+  if (accepted) {
+    console.log(
+      `✅ Successfully accepted result for Task #${taskId} from peer #${peerId}.`
+    );
+  } else {
+    console.warn(
+      `⚠️ Result for Task #${taskId} from peer #${peerId} was not accepted (duplicate, task already done or failed verification).`
+    );
+  }
+  if (!submittedTask) return;
+
+  // Even a rejected result can complete a job, when verification kept an earlier result
+  // or the chunk was given up on
+  const job = taskManager.getJob(submittedTask.jobId);
+  if (!finalizeJobIfDone(job.id) && accepted) {
+    console.log(
+      `Job #${job.id}: ${(
+        job.totalFrames - job.completedFrames
+      ).toLocaleString()} frames remaining.`
+    );
+  }
+}
+
+// --- Helper function to finalize a job once every chunk has a result ---
+// Returns true when finalization was started.
+function finalizeJobIfDone(jobId) {
+  if (!taskManager.isJobDone(jobId)) return false;
+  console.log(
+    `🎉 All tasks of Job #${jobId} are completed! Initiating finalization...`
+  );
+  // Finalization streams the output to disk; clients keep working on other jobs meanwhile.
+  // finalizeResults fails the job itself when the output can't be written; anything else
+  // it throws (e.g. writing the job manifest) fails the job here.
+  taskManager
+    .finalizeResults(jobId)
+    .catch((error) => {
+      console.error(`❌ Finalization of Job #${jobId} failed:`, error.message);
+      const job = taskManager.getJob(jobId);
+      if (job && job.status !== taskManager.JobStatus.FAILED) {
+        taskManager.failJob(job, error);
+      }
+    })
+    .then(() => {
+      if (taskManager.isAllDone()) {
+        broadcastCompletion();
+      }
+    })
+    .catch((error) => {
+      console.error(`❌ Could not wrap up Job #${jobId}:`, error.message);
+    });
+  return true;
+}
+
+// --- Helper function to send a message to all connected clients ---
+// Frames carry the recipient's peer id, so each client gets its own copy.
+function sendToAllClients(buildMessage) {
+  for (const [id, clientWs] of clients.entries()) {
+    if (clientWs.readyState === WebSocket.OPEN) {
+      clientWs.send(buildMessage(id));
+      console.log(`Broadcasted completion message to peer #${id}.`);
+    }
+  }
+}
+
+// --- Helper function to tell every client that all queued jobs are finished ---
+function broadcastCompletion() {
+  console.log(`🎉 All jobs are finished!`);
+  const completionMessage = {
+    type: "completion",
+    message: "All queued jobs are finished on the server.",
+  };
+  sendToAllClients((peerId) =>
+    protocol.encodeStatus(peerId, completionMessage)
+  );
+}
+
+// --- Helper function to reject a client with an ERROR frame and close its connection ---
+function rejectClient(ws, code, message) {
+  console.warn(`⛔ Rejecting client: ${message}`);
+  ws.send(protocol.encodeError(ws.peerId || 0, code, message));
+  ws.close(1002, code); // 1002: protocol error
+}
+
 // --- Task Manager Initialization ---
-// Make sure taskManager.loadChunks() is called.
-taskManager.loadChunks(); // This will also generate audio.raw if it doesn't exist
+// Pick up the jobs left over from a previous run first (see journal.js), then queue the
+// startup jobs; the task manager loads their chunks as they get scheduled.
+taskManager.setSchedulingMode(JOB_SCHEDULING);
+// Tasks dropped with their job no longer count against any client's window, or the
+// clients still holding them would lose those slots for good
+taskManager.setTasksReleasedHandler((taskIds) => {
+  for (const clientTasks of assignedTasks.values()) {
+    for (const taskId of taskIds) clientTasks.delete(taskId);
+  }
+});
+const resumedJobs = taskManager.restoreJobs();
+for (const jobOptions of JOBS) {
+  const alreadyResumed = resumedJobs.some(
+    (job) =>
+      job.inputPath === jobOptions.inputPath &&
+      job.outputPath === jobOptions.outputPath
+  );
+  if (alreadyResumed) continue;
+  if (!jobOptions.finalization.some((stage) => stage.name === "encrypt")) {
+    console.log(
+      `🔓 No output key is configured: startup job '${jobOptions.name}' writes its output unencrypted.`
+    );
+  }
+  try {
+    taskManager.addJob(jobOptions);
+  } catch (error) {
+    console.error(
+      `❌ Could not queue startup job '${jobOptions.name}': ${error.message}`
+    );
+  }
+}
 
 // --- Express HTTP Routes ---
 // Changed from "/" to "/health" for a more standard health check endpoint.
@@ -69,107 +423,226 @@ app.get("/health", (_, res) => {
   res.send("OK");
 });
 
+// REST API for jobs: POST /jobs, GET /jobs, GET /jobs/:id, POST /jobs/:id/cancel, GET /jobs/:id/result
+app.use(
+  createApiRouter({
+    taskManager,
+    clients,
+    assignedTasks,
+    transferStats,
+    inputDir: config.inputDir || config.dataDir,
+    maxUploadBytes: config.maxUploadBytes,
+  })
+);
+
 // --- WebSocket Connection Handling ---
 wss.on("connection", (ws) => {
   console.log("🔌 A new client connected to WebSocket.");
   ws.peerId = null; // Initialize peerId for this WebSocket connection
+  ws.clientId = null; // Authenticated identity, when credentials are configured
+  ws.isAlive = true; // Cleared on every heartbeat, set again by the client's pong
+  ws.on("pong", () => {
+    ws.isAlive = true;
+  });
 
-  ws.on("message", (buffer) => {
-    // Renamed 'message' to 'buffer' for clarity
-    // CORRECTED: Use buffer.length
-    if (buffer.length < 4) {
-      console.warn(
-        "Received a message smaller than expected header (4 bytes). Ignoring."
-      );
-      return;
-    }
-
-    // CORRECTED: Use readUInt16BE
-    const peerId = buffer.readUInt16BE(0);
-    const commandId = buffer.readUInt16BE(2);
-
-    const jsonString = buffer.slice(4).toString("utf8");
-    let payload;
+  // The client answers this challenge in its handshake (see auth.js)
+  ws.challenge = auth.createChallenge();
+  ws.send(protocol.encodeChallenge(ws.challenge, CREDENTIALS !== null));
 
+  // Handles one frame from this client (throws on anything unexpected, see below)
+  function handleMessage(buffer) {
+    let message;
     try {
-      payload = JSON.parse(jsonString);
+      message = protocol.decodeMessage(buffer);
     } catch (error) {
-      console.error(
-        "❌ Error parsing JSON payload from client:",
-        error.message
-      );
+      if (ws.peerId === null) {
+        // Most likely a client speaking an older version of the protocol
+        rejectClient(
+          ws,
+          protocol.ErrorCode.BAD_FRAME,
+          `Could not read handshake (${error.message}). This server speaks protocol version ${protocol.PROTOCOL_VERSION}.`
+        );
+      } else {
+        console.warn(
+          `Received a malformed frame from peer #${ws.peerId}: ${error.message} Ignoring.`
+        );
+      }
       return;
     }
 
-    // --- Command ID 0: Handshake / Registration ---
-    if (commandId === 0) {
-      const assignedId = nextPeerId++;
+    const { type, peerId, payload } = message;
+
+    // --- Handshake / Registration ---
+    if (type === MessageType.HANDSHAKE) {
+      if (ws.peerId !== null) {
+        console.warn(
+          `Peer #${ws.peerId} sent a second handshake on the same connection. Ignoring.`
+        );
+        return;
+      }
+      if (payload.version !== protocol.PROTOCOL_VERSION) {
+        rejectClient(
+          ws,
+          protocol.ErrorCode.VERSION_MISMATCH,
+          `Client speaks protocol version ${
+            payload.version === undefined ? "unknown" : payload.version
+          }, but this server speaks version ${protocol.PROTOCOL_VERSION}.`
+        );
+        return;
+      }
+      if (
+        CREDENTIALS !== null &&
+        !auth.verifyProof(
+          CREDENTIALS,
+          payload.clientId,
+          ws.challenge,
+          payload.proof
+        )
+      ) {
+        rejectClient(
+          ws,
+          protocol.ErrorCode.AUTH_FAILED,
+          `Authentication failed for client id '${payload.clientId || "N/A"}'.`
+        );
+        return;
+      }
+      ws.clientId = CREDENTIALS !== null ? payload.clientId : null;
+
+      // A client reconnecting within its grace window keeps its peer id and tasks
+      const resumed = payload.sessionToken
+        ? sessions.resume(payload.sessionToken, ws.clientId)
+        : null;
+      const assignedId = resumed ? resumed.peerId : nextPeerId++;
+      const sessionToken = resumed
+        ? resumed.token
+        : sessions.open(assignedId, ws.clientId);
+      const previousWs = clients.get(assignedId);
       clients.set(assignedId, ws);
       ws.peerId = assignedId; // CORRECTED: Set peerId on the WebSocket object
-      assignedTasks.set(assignedId, new Set()); // Initialize assigned tasks set for new client
-
-      const response = Buffer.alloc(2);
-      response.writeUInt16BE(assignedId, 0);
-      ws.send(response);
+      if (previousWs) {
+        // The old connection is half-open; its close event must not release the session
+        previousWs.terminate();
+      }
+      ws.nickname = payload.nickname || null;
+      // How many tasks the client may have in flight at once
+      ws.concurrency = Math.min(
+        MAX_CLIENT_CONCURRENCY,
+        Number.isInteger(payload.concurrency) && payload.concurrency > 0
+          ? payload.concurrency
+          : 1
+      );
+      if (!assignedTasks.has(assignedId)) {
+        assignedTasks.set(assignedId, new Set()); // Initialize assigned tasks set for new client
+      }
+      // Cores, benchmark and supported operations decide which jobs the client gets
+      taskManager.registerPeer(assignedId, {
+        clientId: ws.clientId,
+        nickname: ws.nickname,
+        capabilities: payload.capabilities,
+        concurrency: ws.concurrency,
+      });
+      const capabilities = taskManager.peerCapabilities.get(assignedId);
+      // The codec may change when a resumed client offers other ones
+      if (!transferStats.has(assignedId)) {
+        transferStats.set(assignedId, compression.createTransferStats());
+      }
+      const stats = transferStats.get(assignedId);
+      stats.codec = compression.chooseCodec(payload.compression, COMPRESSION);
+
+      ws.send(
+        protocol.encodeHandshakeAck(assignedId, {
+          heartbeatIntervalMs: HEARTBEAT_INTERVAL_MS,
+          sessionToken,
+          sessionGraceMs: SESSION_GRACE_MS,
+          resumed: Boolean(resumed),
+          compression: stats.codec,
+        })
+      );
+      if (resumed) {
+        console.log(
+          `🔁 Peer #${assignedId} resumed its session (${
+            assignedTasks.get(assignedId).size
+          } task(s) still assigned, compression: ${stats.codec || "off"}).`
+        );
+        return;
+      }
       console.log(
-        `🆔 Registered new client (nickname: ${
-          payload.nickname || "N/A"
-        }) with peerId #${assignedId}`
+        `🆔 Registered new client (nickname: ${payload.nickname || "N/A"}${
+          ws.clientId ? `, authenticated as '${ws.clientId}'` : ""
+        }, up to ${ws.concurrency} task(s) at once, ${
+          capabilities.cores || "?"
+        } core(s), ${
+          capabilities.framesPerSecond
+            ? `${Math.round(
+                capabilities.framesPerSecond
+              ).toLocaleString()} frames/s per worker`
+            : "no benchmark"
+        }, compression: ${stats.codec || "off"}) with peerId #${assignedId}`
       );
       return;
     }
 
-    // --- Ensure peerId is registered for subsequent commands ---
-    if (!clients.has(peerId)) {
+    // --- Every later frame must come from the peer this connection was bound to ---
+    if (ws.peerId === null) {
       console.warn(
-        `Received command ${commandId} from unregistered peerId #${peerId}. Ignoring.`
+        `Received message type ${type} before the handshake. Ignoring.`
+      );
+      return;
+    }
+    if (peerId !== ws.peerId) {
+      console.warn(
+        `⛔ Dropping message type ${type} claiming peerId #${peerId} on the connection of peer #${ws.peerId}.`
       );
       return;
     }
 
-    // --- Command ID 1: Client Requests a Task ---
-    else if (commandId === 1) {
-      console.log(`➡️ Peer #${peerId} requested a task.`);
-      const task = taskManager.getNextTask(peerId);
+    // --- Client Requests Tasks ---
+    // Hands out up to `count` tasks, as far as the client's window allows. A "no-task"
+    // status follows when fewer could be handed out.
+    else if (type === MessageType.REQUEST_TASK) {
+      const requested =
+        Number.isInteger(payload.count) && payload.count > 0
+          ? payload.count
+          : 1;
+      const wanted = Math.min(requested, getFreeTaskSlots(peerId));
+      console.log(
+        `➡️ Peer #${peerId} requested ${requested} task(s), ${wanted} slot(s) free.`
+      );
 
-      if (task) {
-        // CORRECTED: Add task to the client's assigned tasks
-        let clientTasks = assignedTasks.get(peerId);
-        if (!clientTasks) {
-          // Should already exist from handshake, but good defensive check
-          clientTasks = new Set();
-          assignedTasks.set(peerId, clientTasks);
-        }
+      let clientTasks = assignedTasks.get(peerId);
+      if (!clientTasks) {
+        // Should already exist from handshake, but good defensive check
+        clientTasks = new Set();
+        assignedTasks.set(peerId, clientTasks);
+      }
+      let sent = 0;
+      while (sent < wanted) {
+        const task = taskManager.getNextTask(peerId);
+        if (!task) break;
         clientTasks.add(task.id);
-
-        const responseBuffer = Buffer.alloc(4 + task.buffer.length);
-        responseBuffer.writeUInt16BE(SERVER_COMMAND_TYPE_TASK_DATA, 0);
-        responseBuffer.writeUInt16BE(task.id, 2);
-        task.buffer.copy(responseBuffer, 4);
-        ws.send(responseBuffer);
+        ws.send(buildTaskMessage(task, peerId));
+        sent++;
         console.log(`⬅️ Sent Task #${task.id} to peer #${peerId}.`);
-      } else {
+      }
+
+      if (sent < requested) {
         const statusPayload = {
           type: "no-task",
-          message: "No tasks currently available.",
+          message:
+            sent === 0
+              ? "No tasks currently available."
+              : `Only ${sent} task(s) available.`,
         };
-        const jsonStatusBuffer = Buffer.from(
-          JSON.stringify(statusPayload),
-          "utf8"
+        ws.send(protocol.encodeStatus(peerId, statusPayload));
+        console.log(
+          `⬅️ Informed peer #${peerId}: ${sent} of ${requested} task(s) available.`
         );
-
-        const responseBuffer = Buffer.alloc(4 + jsonStatusBuffer.length);
-        responseBuffer.writeUInt16BE(0, 0); // peerId 0 for general status message
-        responseBuffer.writeUInt16BE(SERVER_COMMAND_TYPE_STATUS_MESSAGE, 2);
-        jsonStatusBuffer.copy(responseBuffer, 4);
-        ws.send(responseBuffer);
-        console.log(`⬅️ Informed peer #${peerId}: No tasks available.`);
       }
       return;
     }
 
-    // --- Command ID 2: Client Submits Result ---
-    else if (commandId === 2) {
+    // --- Client Submits Result (base64 in JSON, kept for older clients) ---
+    else if (type === MessageType.SUBMIT_RESULT_JSON) {
       console.log(`⬆️ Peer #${peerId} submitted result for task.`);
       const taskId = payload.taskId;
       const base64Result = payload.result;
@@ -193,108 +666,108 @@ wss.on("connection", (ws) => {
         return;
       }
 
-      const accepted = taskManager.submitResult(taskId, resultBuffer);
-
-      if (accepted) {
-        // Remove the task from the client's assignedTasks set upon successful submission
-        if (assignedTasks.has(peerId)) {
-          assignedTasks.get(peerId).delete(taskId);
-        }
-        console.log(
-          `✅ Successfully accepted result for Task #${taskId} from peer #${peerId}.`
-        );
-
-        if (taskManager.isAllDone()) {
-          console.log(`🎉 All tasks are completed! Initiating finalization...`);
-          taskManager.finalizeResults();
-
-          const completionMessage = {
-            type: "completion",
-            message: "All processing tasks are completed on the server.",
-          };
-          const jsonCompletionBuffer = Buffer.from(
-            JSON.stringify(completionMessage),
-            "utf8"
-          );
+      handleSubmittedResult(peerId, taskId, resultBuffer, {
+        inputHash: payload.inputHash,
+        resultHash: payload.resultHash,
+        processingMs: payload.processingMs,
+      });
+      return;
+    }
 
-          const responseBuffer = Buffer.alloc(4 + jsonCompletionBuffer.length);
-          responseBuffer.writeUInt16BE(0, 0); // peerId 0 for general status message
-          responseBuffer.writeUInt16BE(SERVER_COMMAND_TYPE_STATUS_MESSAGE, 2);
-          jsonCompletionBuffer.copy(responseBuffer, 4);
-          sendToAllClients(responseBuffer);
-        } else {
-          console.log(
-            `Still ${
-              taskManager.tasks.size - // This line will now work!
-              Array.from(taskManager.tasks.values()).filter(
-                (t) => t.status === "done"
-              ).length
-            } tasks remaining.`
+    // --- Client Submits Result as raw samples ---
+    else if (type === MessageType.SUBMIT_RESULT) {
+      // Compressed samples are only inflated with the codec this peer negotiated and up
+      // to the task's result length. Results for unknown tasks are dropped unread.
+      const submittedTask = taskManager.tasks.get(message.taskId);
+      const stats = transferStats.get(peerId);
+      let result = message.result;
+      if (message.compressed && submittedTask) {
+        try {
+          result = compression.decompressSamples(message.result, {
+            codec: stats ? stats.codec : null,
+            maxBytes: submittedTask.resultLength,
+          });
+        } catch (error) {
+          console.warn(
+            `⚠️ Dropping the result for Task #${message.taskId} from peer #${peerId}: ${error.message}`
           );
+          return;
         }
-      } else {
-        console.warn(
-          `⚠️ Result for Task #${taskId} from peer #${peerId} was not accepted (possibly duplicate or task already done).`
+      }
+      console.log(
+        `⬆️ Peer #${peerId} submitted binary result for Task #${
+          message.taskId
+        }${
+          message.compressed
+            ? ` (${result.length} bytes, ${message.wireBytes} compressed)`
+            : ""
+        }.`
+      );
+      if (stats) {
+        compression.recordTransfer(
+          stats,
+          "received",
+          result.length,
+          message.wireBytes
         );
       }
+      handleSubmittedResult(peerId, message.taskId, result, {
+        inputHash: message.inputHash,
+        resultHash: message.resultHash,
+        processingMs: message.processingMs,
+      });
       return;
     }
 
-    // Fallback for unknown commands
+    // Fallback for unknown message types
     console.warn(
-      `Received unknown command ${commandId} from peer #${peerId} with payload:`,
-      payload
+      `Received unknown message type ${type} from peer #${peerId}. Ignoring.`
     );
-  });
+  }
 
-  // --- Helper function to send a message to all connected clients ---
-  function sendToAllClients(messageBuffer) {
-    for (const [id, clientWs] of clients.entries()) {
-      if (clientWs.readyState === WebSocket.OPEN) {
-        clientWs.send(messageBuffer);
-        console.log(`Broadcasted completion message to peer #${id}.`);
-      }
+  // A frame that makes its handler throw closes this client's connection only; the other
+  // clients and the jobs carry on
+  ws.on("message", (buffer) => {
+    try {
+      handleMessage(buffer);
+    } catch (error) {
+      console.error(
+        `❌ Error handling a frame from ${
+          ws.peerId === null ? "an unregistered client" : `peer #${ws.peerId}`
+        }, closing its connection:`,
+        error.message
+      );
+      ws.close(1011, "internal error"); // 1011: unexpected condition
     }
-  }
+  });
 
   // --- Handling client disconnects ---
+  // The client's tasks stay assigned to it for the session grace window, so it can
+  // reconnect and submit them (see sessions.js). They are re-queued when it expires.
   ws.on("close", (code, reason) => {
     const disconnectedPeerId = ws.peerId; // Use the peerId stored directly on the ws object
 
-    if (disconnectedPeerId !== null && clients.has(disconnectedPeerId)) {
+    if (disconnectedPeerId !== null && clients.get(disconnectedPeerId) === ws) {
       clients.delete(disconnectedPeerId);
       console.log(
         `🔌 Client peerId #${disconnectedPeerId} disconnected. Code: ${code}, Reason: ${reason.toString()}`
       );
 
-      // --- CRITICAL: Re-assign orphaned tasks ---
-      if (assignedTasks.has(disconnectedPeerId)) {
-        const tasksToReassign = assignedTasks.get(disconnectedPeerId);
-        assignedTasks.delete(disconnectedPeerId);
-
+      if (sessions.detach(disconnectedPeerId)) {
+        const taskCount = assignedTasks.has(disconnectedPeerId)
+          ? assignedTasks.get(disconnectedPeerId).size
+          : 0;
         console.log(
-          `🔍 Peer #${disconnectedPeerId} had ${tasksToReassign.size} tasks assigned. Re-queuing them.`
+          `⏸️ Keeping the session of peer #${disconnectedPeerId} (${taskCount} task(s)) for ${SESSION_GRACE_MS} ms in case it reconnects.`
         );
-
-        for (const taskId of tasksToReassign) {
-          const taskInManager = taskManager.tasks.get(taskId); // This line will now work!
-          if (
-            taskInManager &&
-            taskInManager.status === "assigned" &&
-            taskInManager.assignedTo === disconnectedPeerId
-          ) {
-            taskInManager.status = "pending";
-            taskInManager.assignedTo = null;
-            taskInManager.assignmentTime = null;
-            console.log(`🔄 Task #${taskId} re-queued as 'pending'.`);
-            assignOrphanedTask(taskId); // Attempt to re-assign immediately
-          } else {
-            console.warn(
-              `Task #${taskId} from disconnected peer was already processed or not in expected state.`
-            );
-          }
-        }
+      } else {
+        // --- CRITICAL: Re-assign orphaned tasks ---
+        releasePeer(disconnectedPeerId);
       }
+    } else if (disconnectedPeerId !== null) {
+      console.log(
+        `🔌 An earlier connection of peer #${disconnectedPeerId} closed; the client resumed its session on a new one.`
+      );
     } else {
       console.log(
         `🔌 An unregistered/unknown client disconnected. Code: ${code}, Reason: ${reason.toString()}`
@@ -309,8 +782,21 @@ wss.on("connection", (ws) => {
 });
 
 // --- Start the Server ---
+startHeartbeats();
 server.listen(PORT, () => {
   // CORRECTED: More descriptive server start log
-  console.log(`🚀 Server listening on http://localhost:${PORT}`);
-  console.log(`Health check available at http://localhost:${PORT}/health`); // Corrected path
+  const scheme = TLS_CERT_PATH ? "https" : "http";
+  console.log(`🚀 Server listening on ${scheme}://localhost:${PORT}`);
+  console.log(`Health check available at ${scheme}://localhost:${PORT}/health`); // Corrected path
+  console.log(`Jobs API available at ${scheme}://localhost:${PORT}/jobs`);
+  console.log(
+    TLS_CERT_PATH
+      ? `🔐 TLS enabled: clients connect to wss://<host>:${PORT}`
+      : "🔓 TLS disabled: set CLUSTER_TLS_CERT and CLUSTER_TLS_KEY to serve https:// and wss://."
+  );
+  console.log(
+    CREDENTIALS !== null
+      ? `🔒 Client authentication enabled for ${CREDENTIALS.size} client id(s).`
+      : "🔓 Client authentication disabled: set CLUSTER_CREDENTIALS_FILE or CLUSTER_CREDENTIALS to enable it."
+  );
 });
@@ -0,0 +1,82 @@
+// sessions.js
+// Resumable client sessions. Every registered client gets a random session token in its
+// handshake acknowledgement. When its connection drops, the server keeps the client's
+// peer id and assigned tasks for a grace window; a client that reconnects with its token
+// within that window gets them back and can submit results it computed while offline
+// (see server.js). The token changes on every resume, so each one works only once.
+const crypto = require("crypto");
+
+const TOKEN_BYTES = 32;
+
+// graceMs   how long a dropped client's session is kept; 0 disables resumption
+// onExpire  called with the peer id of a session whose grace window ran out
+// Returns { graceMs, open, detach, isDetached, resume, close }.
+function createSessionStore({ graceMs, onExpire }) {
+  const sessions = new Map(); // Key: token, Value: { peerId, clientId, expiryTimer }
+  const tokensByPeerId = new Map();
+
+  function createToken() {
+    return crypto.randomBytes(TOKEN_BYTES).toString("hex");
+  }
+
+  // Starts a session for a newly registered client and returns its token.
+  function open(peerId, clientId) {
+    const token = createToken();
+    sessions.set(token, { peerId, clientId, expiryTimer: null });
+    tokensByPeerId.set(peerId, token);
+    return token;
+  }
+
+  // Starts the grace window of a client whose connection dropped. Returns false when
+  // the client has no session to keep, in which case it should be cleaned up at once.
+  function detach(peerId) {
+    const session = sessions.get(tokensByPeerId.get(peerId));
+    if (!session || graceMs === 0) {
+      close(peerId);
+      return false;
+    }
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = setTimeout(() => {
+      close(peerId);
+      onExpire(peerId);
+    }, graceMs);
+    return true;
+  }
+
+  // True while a dropped client's session waits in its grace window for a reconnect.
+  function isDetached(peerId) {
+    const session = sessions.get(tokensByPeerId.get(peerId));
+    return Boolean(session && session.expiryTimer);
+  }
+
+  // Takes over the session of `token` for a reconnecting client. Returns
+  // { peerId, token } with a fresh token, or null when the token is unknown, has expired
+  // or was issued to another authenticated client id.
+  function resume(token, clientId) {
+    const session = typeof token === "string" ? sessions.get(token) : null;
+    if (!session || session.clientId !== clientId) return null;
+
+    clearTimeout(session.expiryTimer);
+    session.expiryTimer = null;
+    sessions.delete(token);
+    const newToken = createToken();
+    sessions.set(newToken, session);
+    tokensByPeerId.set(session.peerId, newToken);
+    return { peerId: session.peerId, token: newToken };
+  }
+
+  // Ends a client's session for good.
+  function close(peerId) {
+    const token = tokensByPeerId.get(peerId);
+    const session = sessions.get(token);
+    if (session) clearTimeout(session.expiryTimer);
+    sessions.delete(token);
+    tokensByPeerId.delete(peerId);
+  }
+
+  return { graceMs, open, detach, isDetached, resume, close };
+}
+
+module.exports = {
+  createSessionStore,
+};
@@ -1,41 +1,102 @@
 // task-manager.js
 const fs = require("fs");
 const path = require("path");
-const crypto = require("crypto");
+const { pipeline } = require("stream/promises");
+const operations = require("./operations");
+const audioFormats = require("./audio-formats");
+const {
+  JobStatus,
+  VerificationMode,
+  ChunkingMode,
+  OverlapMode,
+  FailurePolicy,
+  createJob,
+  isJobFinished,
+} = require("./job");
+const journal = require("./journal");
+const encryption = require("./encryption");
+const finalization = require("./finalization");
+const { hashChunk } = require("./protocol");
+const { getConfig } = require("./config");
+
+const config = getConfig("server");
 
 const TaskStatus = {
   PENDING: "pending",
   ASSIGNED: "assigned",
   DONE: "done",
+  FAILED: "failed", // Quarantined after failing too often; never handed out again
 };
 
-// CONSTANTS - RESTORED TO ORIGINAL LARGE SCALE
-const SAMPLE_RATE = 44100; // 44,100 floats per second
+// CONSTANTS - RESTORED TO ORIGINAL LARGE SCALE (configurable, see config.js)
+const SAMPLE_RATE = config.sampleRate; // 44,100 floats per second by default
 const FLOAT_SIZE = 4; // 32-bit float = 4 bytes
 
-const CHUNK_SAMPLES = SAMPLE_RATE; // 1 second chunks
+const CHUNK_SAMPLES = config.chunkSamples; // 1 second chunks by default
 const CHUNK_BYTES = CHUNK_SAMPLES * FLOAT_SIZE;
 
-const ACTUAL_TOTAL_SAMPLES = 158760000; // Exactly as per original assignment (approx 60 minutes)
+const ACTUAL_TOTAL_SAMPLES = config.dummyTotalSamples; // Exactly as per original assignment (approx 60 minutes)
 const ACTUAL_TOTAL_BYTES = ACTUAL_TOTAL_SAMPLES * FLOAT_SIZE;
 
 // --- NEW: Define the output folder ---
-const GENERATED_FILES_DIR = path.join(__dirname, "generated_data");
+const GENERATED_FILES_DIR = config.dataDir;
 
 // --- Update file paths to use the new folder ---
 const FILE_PATH = path.join(GENERATED_FILES_DIR, "test.raw");
 const RESULT_FILE_PATH = path.join(GENERATED_FILES_DIR, "result.raw");
-const ENCRYPTION_KEY_PATH = path.join(
-  GENERATED_FILES_DIR,
-  "encryption_key.bin"
-);
-const ENCRYPTION_IV_PATH = path.join(GENERATED_FILES_DIR, "encryption_iv.bin");
 
-// Configuration for re-queuing stuck tasks
-const ASSIGNED_TIMEOUT_MS = 5000; // Original 5 seconds timeout
+// Output encryption (see encryption.js). Defaults for jobs without an encryption option;
+// the passphrase only ever comes from the server configuration.
+const ENCRYPTION_CIPHER = config.encryptionCipher;
+const ENCRYPTION_KEY_SOURCE = config.encryptionKeySource;
+const ENCRYPTION_KEY_FILE = config.encryptionKeyFile;
+const ENCRYPTION_PASSPHRASE = config.encryptionPassphrase;
+const ENCRYPTION_KDF = config.encryptionKdf;
+const ENCRYPTION_RECIPIENT_KEY = config.encryptionRecipientKey;
 
-const tasks = new Map();
-let totalChunksLoaded = 0;
+// Configuration for re-queuing stuck tasks
+const ASSIGNED_TIMEOUT_MS = config.assignedTimeoutMs; // Original 5 seconds timeout, now the minimum
+// A task is re-queued once it has taken this many times longer than its client should need
+// (see getTaskTimeoutMs)
+const TIMEOUT_FACTOR = config.timeoutFactor;
+// Near the end of a job, idle clients get a second copy of tasks that have taken this many
+// times longer than expected (see getStraggler)
+const STRAGGLER_FACTOR = 2;
+const SPECULATIVE_EXECUTION = config.speculativeExecution;
+// Defaults for jobs without a retry option
+const MAX_RETRIES = config.maxRetries;
+const ON_CHUNK_FAILURE = config.onChunkFailure;
+
+// What finalization did before jobs chose their own stages (see finalization.js)
+const LEGACY_FINALIZATION = [
+  { name: "reverse", params: {} },
+  { name: "encrypt", params: {} },
+];
+
+// How jobs share the clients:
+//   "sequential"  - one job runs at a time, in the order they were added
+//   "interleaved" - every queued job runs at once, tasks are handed out round-robin
+const SCHEDULING_MODES = ["sequential", "interleaved"];
+let schedulingMode = "sequential";
+
+const jobs = new Map(); // Key: jobId, Value: job (see job.js)
+const tasks = new Map(); // Key: taskId, Value: task entry. Index over the tasks of every loaded job
+let nextTaskId = 1; // Task IDs start from 1 and stay unique across jobs
+let roundRobinOffset = 0;
+let onTasksReleased = () => {}; // See setTasksReleasedHandler
+// Key: peerId, Value: { badResults, lastProblem, flaggedAt } for clients that sent back
+// results that failed verification. Flagged clients get no further tasks.
+const peerReports = new Map();
+// Key: peerId, Value: { framesPerSecond, networkMs }, moving averages measured from the
+// results each client sent back. Adaptive chunking sizes a client's chunks from them.
+const peerStats = new Map();
+// Key: peerId, Value: { clientId, nickname, cores, workers, framesPerSecond, operations }
+// as reported by connected clients in their handshake (see registerPeer)
+const peerCapabilities = new Map();
+const PEER_STATS_WEIGHT = 0.3; // Weight of the newest measurement in the averages
+// Adaptive chunks are made big enough that transferring them takes at most this share
+// of the time spent processing them
+const NETWORK_OVERHEAD_FACTOR = 4;
 
 // Helper to ensure directory exists
 function ensureGeneratedDataDirExists() {
@@ -46,11 +107,12 @@ function ensureGeneratedDataDirExists() {
 }
 
 // --- ASYNC: Generate Dummy Audio File ---
-function generateDummyAudioFile() {
+function generateDummyAudioFile(filePath = FILE_PATH) {
   return new Promise((resolve, reject) => {
     ensureGeneratedDataDirExists(); // Ensure folder exists before writing
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
 
-    console.log(`[TaskManager] Generating dummy audio file: ${FILE_PATH}`);
+    console.log(`[TaskManager] Generating dummy audio file: ${filePath}`);
     console.log(
       `[TaskManager] Total samples: ${ACTUAL_TOTAL_SAMPLES.toLocaleString()}`
     );
@@ -66,7 +128,7 @@ function generateDummyAudioFile() {
     );
 
     try {
-      const writeStream = fs.createWriteStream(FILE_PATH);
+      const writeStream = fs.createWriteStream(filePath);
       const BATCH_SIZE_SAMPLES = CHUNK_SAMPLES * 100; // Process 100 chunks at a time for writing
 
       let samplesWritten = 0;
@@ -78,7 +140,7 @@ function generateDummyAudioFile() {
         console.log(
           `[TaskManager] ✅ File created in ${duration.toFixed(
             1
-          )}s: ${FILE_PATH}`
+          )}s: ${filePath}`
         );
         resolve(); // Resolve the promise indicating completion
       });
@@ -139,96 +201,922 @@ function generateDummyAudioFile() {
   });
 }
 
+// --- Job Queue ---
+// Adds a job to the queue and starts it if the scheduling mode allows.
+// See job.js for the accepted options; operation, chunkSamples and sampleRate default to the
+// original hackathon setup (inverting 1-second chunks at 44.1 kHz).
+function addJob(options) {
+  const jobOptions = {
+    operation: operations.DEFAULT_OPERATION,
+    chunkSamples: CHUNK_SAMPLES,
+    sampleRate: SAMPLE_RATE,
+    channels: 1,
+    layout: audioFormats.ChannelLayout.INTERLEAVED,
+    ...options,
+  };
+  if (!Object.values(audioFormats.ChannelLayout).includes(jobOptions.layout)) {
+    throw new Error(
+      `Unknown channel layout '${
+        jobOptions.layout
+      }'. Expected one of: ${Object.values(audioFormats.ChannelLayout).join(
+        ", "
+      )}`
+    );
+  }
+  // Read the input header up front so unsupported files and parameters that don't fit
+  // its sample rate are rejected before the job is queued (throws)
+  let inputFrames = null;
+  if (fs.existsSync(jobOptions.inputPath)) {
+    const format = audioFormats.readAudioInfo(jobOptions.inputPath, {
+      sampleRate: jobOptions.sampleRate,
+      channels: jobOptions.channels,
+    });
+    jobOptions.sampleRate = format.sampleRate;
+    jobOptions.channels = format.channels;
+    inputFrames = audioFormats.getFrameCount(format);
+  }
+  jobOptions.chunking = normalizeChunking(
+    jobOptions.chunking,
+    jobOptions.chunkSamples
+  );
+  // Throws on an unknown operation or bad params, before the job is queued. Inputs that
+  // don't exist yet are checked against their chunk count when the job starts.
+  operations.validateOperation(jobOptions.operation, {
+    sampleRate: jobOptions.sampleRate,
+    maxChunks:
+      inputFrames === null
+        ? undefined
+        : getMostChunks(
+            inputFrames,
+            jobOptions.chunkSamples,
+            jobOptions.chunking
+          ),
+  });
+  jobOptions.verification = normalizeVerification(jobOptions.verification);
+  jobOptions.overlap = normalizeOverlap(jobOptions.overlap);
+  if (
+    jobOptions.priority !== undefined &&
+    !Number.isInteger(jobOptions.priority)
+  ) {
+    throw new Error("'priority' must be an integer.");
+  }
+  jobOptions.placement = normalizePlacement(jobOptions.placement);
+  jobOptions.retry = normalizeRetry(jobOptions.retry);
+  jobOptions.finalization = finalization.validateFinalization(
+    jobOptions.finalization || []
+  );
+  if (finalization.hasStage(jobOptions.finalization, "encrypt")) {
+    jobOptions.encryption = normalizeEncryption(jobOptions.encryption);
+  } else if (jobOptions.encryption !== undefined) {
+    throw new Error(
+      "'encryption' only applies to jobs with an 'encrypt' finalization stage."
+    );
+  }
+
+  const job = createJob(jobOptions, GENERATED_FILES_DIR);
+  jobs.set(job.id, job);
+  journal.writeJobManifest(job);
+  console.log(
+    `[TaskManager] 📥 Queued Job #${job.id} (${
+      job.name
+    }) with operation ${JSON.stringify(job.operation)}`
+  );
+  scheduleJobs();
+  return job;
+}
+
+// Checks a job's verification option and fills in its defaults (throws when invalid).
+function normalizeVerification(verification) {
+  const spec = { mode: VerificationMode.NONE, ...verification };
+  if (!Object.values(VerificationMode).includes(spec.mode)) {
+    throw new Error(
+      `Unknown verification mode '${
+        spec.mode
+      }'. Expected one of: ${Object.values(VerificationMode).join(", ")}`
+    );
+  }
+  if (spec.mode !== VerificationMode.SAMPLE) {
+    return { mode: spec.mode };
+  }
+  const fraction = spec.fraction === undefined ? 0.1 : spec.fraction;
+  if (typeof fraction !== "number" || !(fraction > 0 && fraction <= 1)) {
+    throw new Error(
+      "Verification 'fraction' must be a number greater than 0 and at most 1."
+    );
+  }
+  return { mode: spec.mode, fraction };
+}
+
+// Checks a job's chunking option and fills in its defaults (throws when invalid).
+// Adaptive chunks aim to keep a client busy for about targetSeconds each.
+function normalizeChunking(chunking, chunkSamples) {
+  if (!Number.isInteger(chunkSamples) || chunkSamples < 1) {
+    throw new Error("'chunkSamples' must be a positive integer.");
+  }
+  const spec = { mode: ChunkingMode.FIXED, ...chunking };
+  if (!Object.values(ChunkingMode).includes(spec.mode)) {
+    throw new Error(
+      `Unknown chunking mode '${spec.mode}'. Expected one of: ${Object.values(
+        ChunkingMode
+      ).join(", ")}`
+    );
+  }
+  if (spec.mode !== ChunkingMode.ADAPTIVE) {
+    return { mode: spec.mode };
+  }
+  const adaptive = {
+    mode: spec.mode,
+    minSamples:
+      spec.minSamples === undefined
+        ? Math.min(4096, chunkSamples)
+        : spec.minSamples,
+    maxSamples:
+      spec.maxSamples === undefined
+        ? Math.max(chunkSamples * 30, chunkSamples)
+        : spec.maxSamples,
+    targetSeconds: spec.targetSeconds === undefined ? 2 : spec.targetSeconds,
+  };
+  for (const key of ["minSamples", "maxSamples"]) {
+    if (!Number.isInteger(adaptive[key]) || adaptive[key] < 1) {
+      throw new Error(`Chunking '${key}' must be a positive integer.`);
+    }
+  }
+  if (adaptive.minSamples > adaptive.maxSamples) {
+    throw new Error("Chunking 'minSamples' must not exceed 'maxSamples'.");
+  }
+  if (
+    typeof adaptive.targetSeconds !== "number" ||
+    !(adaptive.targetSeconds > 0)
+  ) {
+    throw new Error("Chunking 'targetSeconds' must be a positive number.");
+  }
+  return adaptive;
+}
+
+// The most chunks an input of `totalFrames` frames can be cut into. Adaptive chunks hold
+// at least minSamples frames each, since the last one takes any remainder.
+function getMostChunks(totalFrames, chunkSamples, chunking) {
+  if (chunking.mode === ChunkingMode.ADAPTIVE) {
+    return Math.max(1, Math.floor(totalFrames / chunking.minSamples));
+  }
+  return Math.ceil(totalFrames / chunkSamples);
+}
+
+// Checks a job's overlap option and fills in its defaults (throws when invalid).
+function normalizeOverlap(overlap) {
+  const spec = { preRoll: 0, postRoll: 0, mode: OverlapMode.TRIM, ...overlap };
+  if (!Object.values(OverlapMode).includes(spec.mode)) {
+    throw new Error(
+      `Unknown overlap mode '${spec.mode}'. Expected one of: ${Object.values(
+        OverlapMode
+      ).join(", ")}`
+    );
+  }
+  for (const key of ["preRoll", "postRoll"]) {
+    if (!Number.isInteger(spec[key]) || spec[key] < 0) {
+      throw new Error(`Overlap '${key}' must be a non-negative integer.`);
+    }
+  }
+  if (spec.mode === OverlapMode.CROSSFADE && spec.postRoll === 0) {
+    throw new Error("Overlap mode 'crossfade' needs a 'postRoll'.");
+  }
+  return { preRoll: spec.preRoll, postRoll: spec.postRoll, mode: spec.mode };
+}
+
+// Checks a job's placement option (throws when invalid). Returns null for no placement.
+function normalizePlacement(placement) {
+  if (placement === undefined || placement === null) return null;
+  if (typeof placement !== "object" || Array.isArray(placement)) {
+    throw new Error("'placement' must be an object.");
+  }
+  const { clientIds, minCores, minFramesPerSecond, ...unknown } = placement;
+  if (Object.keys(unknown).length > 0) {
+    throw new Error(
+      `Unknown placement key(s): ${Object.keys(unknown).join(", ")}`
+    );
+  }
+  if (
+    clientIds !== undefined &&
+    (!Array.isArray(clientIds) ||
+      clientIds.length === 0 ||
+      !clientIds.every((id) => typeof id === "string"))
+  ) {
+    throw new Error("Placement 'clientIds' must be a non-empty array of ids.");
+  }
+  if (minCores !== undefined && (!Number.isInteger(minCores) || minCores < 1)) {
+    throw new Error("Placement 'minCores' must be a positive integer.");
+  }
+  if (
+    minFramesPerSecond !== undefined &&
+    (typeof minFramesPerSecond !== "number" || !(minFramesPerSecond > 0))
+  ) {
+    throw new Error(
+      "Placement 'minFramesPerSecond' must be a positive number."
+    );
+  }
+  return { clientIds, minCores, minFramesPerSecond };
+}
+
+// Checks a job's retry option and fills in its defaults (throws when invalid).
+function normalizeRetry(retry) {
+  const spec = {
+    maxRetries: MAX_RETRIES,
+    onFailure: ON_CHUNK_FAILURE,
+    ...retry,
+  };
+  if (!Number.isInteger(spec.maxRetries) || spec.maxRetries < 0) {
+    throw new Error("Retry 'maxRetries' must be a non-negative integer.");
+  }
+  if (!Object.values(FailurePolicy).includes(spec.onFailure)) {
+    throw new Error(
+      `Unknown retry 'onFailure' policy '${
+        spec.onFailure
+      }'. Expected one of: ${Object.values(FailurePolicy).join(", ")}`
+    );
+  }
+  return { maxRetries: spec.maxRetries, onFailure: spec.onFailure };
+}
+
+// Checks a job's encryption option and fills in its defaults (throws when invalid).
+// A job picks the cipher, key source and KDF; the key file, passphrase and recipient key
+// come from the server configuration, since job options arrive through the API.
+// Only the settings of the chosen key source are kept.
+function normalizeEncryption(encryptionOptions) {
+  const spec = {
+    cipher: ENCRYPTION_CIPHER,
+    keySource: ENCRYPTION_KEY_SOURCE,
+    kdf: ENCRYPTION_KDF,
+    ...encryptionOptions,
+  };
+  const { cipher, keySource, kdf, ...unknown } = spec;
+  if (Object.keys(unknown).length > 0) {
+    throw new Error(
+      `Unknown encryption key(s): ${Object.keys(unknown).join(
+        ", "
+      )}. Key files, passphrases and recipient keys are only read from the server configuration.`
+    );
+  }
+  if (!Object.values(encryption.Cipher).includes(cipher)) {
+    throw new Error(
+      `Unknown encryption cipher '${cipher}'. Expected one of: ${Object.values(
+        encryption.Cipher
+      ).join(", ")}`
+    );
+  }
+  if (!Object.values(encryption.KeySource).includes(keySource)) {
+    throw new Error(
+      `Unknown encryption key source '${keySource}'. Expected one of: ${Object.values(
+        encryption.KeySource
+      ).join(", ")}`
+    );
+  }
+  if (keySource === encryption.KeySource.FILE) {
+    if (!ENCRYPTION_KEY_FILE) {
+      throw new Error(
+        "Encrypted outputs need a key: set encryptionKeyFile in the server configuration (apart from the outputs), or use the passphrase or recipient key source."
+      );
+    }
+    return { cipher, keySource, keyFile: path.resolve(ENCRYPTION_KEY_FILE) };
+  }
+  if (keySource === encryption.KeySource.PASSPHRASE) {
+    if (!Object.values(encryption.Kdf).includes(kdf)) {
+      throw new Error(
+        `Unknown encryption kdf '${kdf}'. Expected one of: ${Object.values(
+          encryption.Kdf
+        ).join(", ")}`
+      );
+    }
+    if (!ENCRYPTION_PASSPHRASE) {
+      throw new Error(
+        "The passphrase key source needs encryptionPassphrase in the server configuration."
+      );
+    }
+    return { cipher, keySource, kdf };
+  }
+  if (!ENCRYPTION_RECIPIENT_KEY) {
+    throw new Error(
+      "The recipient key source needs encryptionRecipientKey in the server configuration: the path of an RSA or X25519 public key."
+    );
+  }
+  encryption.loadRecipientKey(ENCRYPTION_RECIPIENT_KEY); // Throws when it isn't a usable public key
+  return {
+    cipher,
+    keySource,
+    recipientKey: path.resolve(ENCRYPTION_RECIPIENT_KEY),
+  };
+}
+
+// True when the server configuration holds the key material of the default key source
+// (encryptionKeySource), so a job can encrypt without an encryption option.
+function hasDefaultEncryptionKey() {
+  if (ENCRYPTION_KEY_SOURCE === encryption.KeySource.PASSPHRASE) {
+    return Boolean(ENCRYPTION_PASSPHRASE);
+  }
+  if (ENCRYPTION_KEY_SOURCE === encryption.KeySource.RECIPIENT) {
+    return Boolean(ENCRYPTION_RECIPIENT_KEY);
+  }
+  return Boolean(ENCRYPTION_KEY_FILE);
+}
+
+// Recreates the jobs found in generated_data/jobs after a restart. Finished jobs are kept
+// for the job history; unfinished ones are queued again and resume from their journal.
+// Returns the jobs that will resume.
+function restoreJobs() {
+  const resumed = [];
+  const manifests = journal.readJobManifests(
+    path.join(GENERATED_FILES_DIR, "jobs")
+  );
+  for (const manifest of manifests) {
+    if (jobs.has(manifest.id)) continue;
+    const job = createJob(manifest, GENERATED_FILES_DIR);
+    // Jobs from before the finalization option were reversed and encrypted
+    if (!manifest.finalization) job.finalization = LEGACY_FINALIZATION;
+    if (isJobFinished(manifest)) {
+      Object.assign(job, {
+        status: manifest.status,
+        totalTasks: manifest.totalTasks,
+        completedTasks: manifest.completedTasks,
+        totalFrames: manifest.totalFrames || 0,
+        completedFrames: manifest.completedFrames || 0,
+        failedChunks: manifest.failedChunks || [],
+        rejectedResults: manifest.rejectedResults || 0,
+        error: manifest.error,
+        createdAt: manifest.createdAt,
+        startedAt: manifest.startedAt,
+        completedAt: manifest.completedAt,
+      });
+    } else {
+      job.createdAt = manifest.createdAt;
+      // Manifests without an encryption option (or a cipher in it) use the server's
+      // defaults
+      if (finalization.hasStage(job.finalization, "encrypt")) {
+        job.encryption = {
+          cipher: ENCRYPTION_CIPHER,
+          ...(job.encryption || normalizeEncryption()),
+        };
+      }
+      resumed.push(job);
+    }
+    jobs.set(job.id, job);
+  }
+
+  if (resumed.length > 0) {
+    console.log(
+      `[TaskManager] ♻️ Resuming ${resumed.length} unfinished job(s): ${resumed
+        .map((job) => `#${job.id}`)
+        .join(", ")}`
+    );
+  }
+  scheduleJobs();
+  return resumed;
+}
+
+function getJob(jobId) {
+  return jobs.get(jobId) || null;
+}
+
+function setSchedulingMode(mode) {
+  if (!SCHEDULING_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown scheduling mode '${mode}'. Expected one of: ${SCHEDULING_MODES.join(
+        ", "
+      )}`
+    );
+  }
+  schedulingMode = mode;
+  console.log(`[TaskManager] Job scheduling mode: ${mode}`);
+  scheduleJobs();
+}
+
+// Starts as many queued jobs as the scheduling mode allows.
+function scheduleJobs() {
+  const maxActiveJobs = schedulingMode === "interleaved" ? Infinity : 1;
+  let activeJobs = 0;
+  for (const job of jobs.values()) {
+    if (job.status === JobStatus.LOADING || job.status === JobStatus.RUNNING) {
+      activeJobs++;
+    }
+  }
+
+  // Higher priorities first, then in the order the jobs were added
+  const queuedJobs = Array.from(jobs.values())
+    .filter((job) => job.status === JobStatus.QUEUED)
+    .sort((a, b) => b.priority - a.priority || a.id - b.id);
+  for (const job of queuedJobs) {
+    if (activeJobs >= maxActiveJobs) break;
+    activeJobs++;
+    startJob(job);
+  }
+}
+
+async function startJob(job) {
+  job.status = JobStatus.LOADING;
+  job.startedAt = Date.now();
+  console.log(`[TaskManager] ▶️ Starting Job #${job.id} (${job.name})`);
+
+  try {
+    await loadChunks(job);
+  } catch (error) {
+    failJob(job, error);
+    return;
+  }
+
+  if (job.status === JobStatus.CANCELLED) {
+    releaseJobTasks(job); // Cancelled while its chunks were loading
+    return;
+  }
+
+  if (job.totalFrames === 0) {
+    job.status = JobStatus.COMPLETED;
+    job.completedAt = Date.now();
+    journal.writeJobManifest(job);
+    scheduleJobs();
+    return;
+  }
+  job.status = JobStatus.RUNNING;
+  journal.writeJobManifest(job);
+
+  // Resumed after a crash with every chunk already done (e.g. during finalization)
+  if (isEveryChunkDone(job)) {
+    finalizeResults(job.id).catch((error) => {
+      if (job.status !== JobStatus.FAILED) failJob(job, error);
+    });
+  }
+}
+
+// Marks a job as failed with `error` and drops its tasks.
+function failJob(job, error) {
+  console.error(`[TaskManager] ❌ Job #${job.id} failed:`, error.message);
+  job.status = JobStatus.FAILED;
+  job.error = error.message;
+  job.completedAt = Date.now();
+  releaseJobTasks(job);
+  journal.writeJobManifest(job);
+  scheduleJobs();
+}
+
+// Stops a job that has not finished yet. Its tasks are dropped, so results that clients
+// still submit for them are rejected as unknown tasks.
+function cancelJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || isJobFinished(job) || job.status === JobStatus.FINALIZING) {
+    return false;
+  }
+
+  job.status = JobStatus.CANCELLED;
+  job.completedAt = Date.now();
+  releaseJobTasks(job);
+  journal.writeJobManifest(job);
+  console.log(`[TaskManager] 🛑 Job #${job.id} cancelled.`);
+  scheduleJobs();
+  return true;
+}
+
+// Task counts per status, plus the share of the input's frames that is done. Finished
+// jobs no longer hold their tasks, so their counts come from the job's totals. With
+// adaptive chunking, `total` only counts the chunks cut so far.
+function getJobProgress(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return null;
+
+  const progress = {
+    total: job.totalTasks,
+    pending: 0,
+    assigned: 0,
+    done: 0,
+    failed: job.failedChunks.length,
+    percent:
+      job.totalFrames > 0
+        ? Math.floor((job.completedFrames / job.totalFrames) * 100)
+        : 0,
+  };
+  if (job.tasks.size === 0) {
+    progress.done = job.completedTasks;
+    return progress;
+  }
+
+  for (const task of job.tasks.values()) {
+    if (task.status === TaskStatus.PENDING) progress.pending++;
+    else if (task.status === TaskStatus.ASSIGNED) progress.assigned++;
+    else if (task.status === TaskStatus.DONE) progress.done++;
+  }
+  return progress;
+}
+
+// Drops a finished job's tasks from memory and deletes its spilled results and journal.
+// Clients may still hold some of them (e.g. the losing copy of a speculatively executed
+// chunk, or tasks of a failed job), so the tasks-released handler is told about them.
+function releaseJobTasks(job) {
+  const taskIds = Array.from(job.tasks.keys());
+  for (const taskId of taskIds) {
+    tasks.delete(taskId);
+  }
+  job.tasks.clear();
+  job.pendingTasks.clear();
+  job.assignedTasks.clear();
+  fs.rmSync(job.resultsPath, { force: true });
+  journal.removeJournal(job);
+  onTasksReleased(taskIds);
+}
+
+// handler(taskIds) is called whenever a finished, failed or cancelled job drops its tasks
+function setTasksReleasedHandler(handler) {
+  onTasksReleased = handler;
+}
+
 // --- ASYNC: Load Chunks ---
-async function loadChunks() {
+// Reads the job's input file and splits it into PENDING tasks.
+async function loadChunks(job) {
   ensureGeneratedDataDirExists(); // Ensure folder exists before reading (in case it was manually deleted)
 
-  if (!fs.existsSync(FILE_PATH)) {
+  if (!fs.existsSync(job.inputPath)) {
+    if (!job.generateIfMissing) {
+      throw new Error(`Input file not found: ${job.inputPath}`);
+    }
     console.log(
-      `[TaskManager] File '${path.basename(FILE_PATH)}' not found. Creating...`
+      `[TaskManager] File '${path.basename(
+        job.inputPath
+      )}' not found. Creating...`
     );
     try {
-      await generateDummyAudioFile(); // AWAIT the file generation
+      await generateDummyAudioFile(job.inputPath); // AWAIT the file generation
     } catch (error) {
       console.error(
         `[TaskManager] ❌ Error during dummy file generation:`,
         error.message
       );
-      throw error; // Re-throw to allow server.js to catch and exit
+      throw error; // Re-throw so the job is marked as failed
     }
   }
 
-  console.log(`[TaskManager] Loading chunks from ${FILE_PATH}...`);
-  let data;
+  console.log(`[TaskManager] Loading chunks from ${job.inputPath}...`);
   try {
-    const fileStats = fs.statSync(FILE_PATH);
+    const fileStats = fs.statSync(job.inputPath);
     console.log(
       `[TaskManager] File size: ${(fileStats.size / 1024 / 1024).toFixed(1)} MB`
     );
-    data = fs.readFileSync(FILE_PATH);
-    console.log(`[TaskManager] Read ${data.length.toLocaleString()} bytes`);
+    // WAV/AIFF headers override the job's sample rate and channels; raw files keep them
+    job.format = audioFormats.readAudioInfo(job.inputPath, {
+      sampleRate: job.sampleRate,
+      channels: job.channels,
+    });
+    console.log(
+      `[TaskManager] Input format: ${job.format.container}, ${job.format.bitDepth}-bit ${job.format.sampleFormat}, ${job.format.channels} channel(s), ${job.format.sampleRate} Hz`
+    );
+    job.channels = job.format.channels;
   } catch (error) {
     console.error(`[TaskManager] ❌ Error reading file:`, error.message);
-    throw error; // Re-throw to allow server.js to catch and exit
+    throw error; // Re-throw so the job is marked as failed
   }
 
-  totalChunksLoaded = Math.ceil(data.length / CHUNK_BYTES);
-  console.log(
-    `[TaskManager] Will create ${totalChunksLoaded.toLocaleString()} tasks (chunks)`
-  );
+  job.sampleRate = job.format.sampleRate;
 
-  if (totalChunksLoaded === 0) {
+  // Tasks only record where their frames are; the samples are read from disk when the
+  // task is sent (see getTaskPayload). Chunks always hold whole frames, so no frame is split.
+  job.totalFrames = audioFormats.getFrameCount(job.format);
+  // Checked again against the actual input: filter cutoffs etc. against its sample rate,
+  // per-chunk operations against the number of chunks it is cut into
+  operations.validateOperation(job.operation, {
+    sampleRate: job.sampleRate,
+    maxChunks: getMostChunks(job.totalFrames, job.chunkSamples, job.chunking),
+  });
+  job.nextFrame = 0;
+  job.outputBytes = 0;
+  job.totalTasks = 0;
+  job.completedTasks = 0;
+  job.completedFrames = 0;
+  job.failedChunks = [];
+  if (job.totalFrames === 0) {
     console.warn(`[TaskManager] ⚠️ No data to process!`);
     return;
   }
 
+  // Results are spilled to job.resultsPath as they arrive, each at its own offset, and
+  // journaled along with where each chunk was cut. A journal written for the same input
+  // and chunking means the server stopped mid-job: its chunks are cut the same way again,
+  // their results are kept and only the missing chunks are redone.
+  const inputStats = fs.statSync(job.inputPath);
+  const chunkingLayout = {
+    inputSize: inputStats.size,
+    inputMtimeMs: inputStats.mtimeMs,
+    chunkSamples: job.chunkSamples,
+    chunking: JSON.stringify(job.chunking),
+    overlap: JSON.stringify(job.overlap),
+    channels: job.channels,
+    totalFrames: job.totalFrames,
+    operation: JSON.stringify(job.operation),
+  };
+  let journaled = null;
+  if (fs.existsSync(job.resultsPath)) {
+    journaled = journal.readJournal(job, chunkingLayout);
+  }
+  if (!journaled) {
+    fs.mkdirSync(job.workDir, { recursive: true });
+    fs.closeSync(fs.openSync(job.resultsPath, "w"));
+    journal.startJournal(job, chunkingLayout);
+    journaled = { cuts: [], completed: new Set(), failed: new Map() };
+  }
+
   const startTime = Date.now();
-  for (let i = 0; i < totalChunksLoaded; i++) {
-    const start = i * CHUNK_BYTES;
-    const end = Math.min(start + CHUNK_BYTES, data.length);
-    const chunkBuffer = data.slice(start, end);
-
-    const taskId = i + 1; // Task IDs start from 1
-    tasks.set(taskId, {
-      id: taskId,
-      chunkIndex: i,
-      buffer: chunkBuffer,
-      status: TaskStatus.PENDING,
-      assignedTo: null,
-      assignmentTime: null,
-      result: null,
-    });
+  for (const cut of journaled.cuts) {
+    if (cut.frameOffset !== job.nextFrame) break;
+    const task = cutTask(job, cut.frames);
+    if (journaled.completed.has(task.chunkIndex)) {
+      task.status = TaskStatus.DONE;
+      job.pendingTasks.delete(task);
+      job.completedTasks++;
+      job.completedFrames += task.frames;
+    } else if (journaled.failed.has(task.chunkIndex)) {
+      const entry = journaled.failed.get(task.chunkIndex);
+      task.status = TaskStatus.FAILED;
+      task.failedAttempts = entry.attempts;
+      task.lastError = entry.lastError;
+      job.pendingTasks.delete(task);
+      job.failedChunks.push(getFailureReport(task));
+    }
+  }
+  if (job.completedTasks > 0) {
+    console.log(
+      `[TaskManager] ♻️ Job #${
+        job.id
+      }: ${job.completedTasks.toLocaleString()} chunk(s) restored from the journal, ${(
+        job.totalFrames - job.completedFrames
+      ).toLocaleString()} frames left to process`
+    );
+  }
 
-    if (i % 1000 === 0 && i > 0) {
-      const progress = Math.floor((i / totalChunksLoaded) * 100);
+  // Adaptive chunks are cut one at a time as clients ask for work (see getNextTask)
+  if (job.chunking.mode === ChunkingMode.ADAPTIVE) {
+    console.log(
+      `[TaskManager] Job #${
+        job.id
+      } will cut its ${job.totalFrames.toLocaleString()} frames into chunks of ${job.chunking.minSamples.toLocaleString()}-${job.chunking.maxSamples.toLocaleString()} frames as clients ask for them`
+    );
+    return;
+  }
+
+  const totalChunks =
+    job.totalTasks +
+    Math.ceil((job.totalFrames - job.nextFrame) / job.chunkSamples);
+  console.log(
+    `[TaskManager] Job #${
+      job.id
+    } will create ${totalChunks.toLocaleString()} tasks (chunks)`
+  );
+  const newTasks = [];
+  while (job.nextFrame < job.totalFrames) {
+    newTasks.push(cutTask(job, job.chunkSamples));
+
+    if (job.totalTasks % 1000 === 0) {
+      const progress = Math.floor((job.totalTasks / totalChunks) * 100);
       console.log(
-        `[TaskManager] Task creation progress: ${progress}% (${i}/${totalChunksLoaded})`
+        `[TaskManager] Task creation progress: ${progress}% (${job.totalTasks}/${totalChunks})`
       );
     }
   }
+  journal.appendCuts(job, newTasks);
 
   const duration = (Date.now() - startTime) / 1000;
   console.log(
-    `[TaskManager] ✅ Created ${totalChunksLoaded.toLocaleString()} tasks in ${duration.toFixed(
-      1
-    )}s`
+    `[TaskManager] ✅ Created ${totalChunks.toLocaleString()} tasks for Job #${
+      job.id
+    } in ${duration.toFixed(1)}s`
+  );
+}
+
+// Cuts the next chunk of up to `frames` frames from the job's input, starting where the
+// previous chunk ended, and adds it as a PENDING task.
+// With an overlap, the client gets a window of the chunk plus up to preRoll frames before
+// it and postRoll frames after it, and sends back the result of the whole window. Only
+// the chunk's own part of that result is stored, plus the post-roll part when it is
+// crossfaded into the next chunk (see readResults).
+function cutTask(job, frames) {
+  const frameOffset = job.nextFrame;
+  const taskFrames = Math.min(frames, job.totalFrames - frameOffset);
+  const preRoll = Math.min(job.overlap.preRoll, frameOffset);
+  const postRoll = Math.min(
+    job.overlap.postRoll,
+    job.totalFrames - frameOffset - taskFrames
+  );
+  // The output size depends on the operation (e.g. resampling changes the frame count).
+  // Output positions are measured from the window start, so the parts always add up.
+  const outputFramesFor = (inputFrames) =>
+    operations.getOutputLength(job.operation, inputFrames, {
+      sampleRate: job.sampleRate,
+      startFrame: frameOffset - preRoll,
+    });
+  const preRollEnd = outputFramesFor(preRoll);
+  const chunkEnd = outputFramesFor(preRoll + taskFrames);
+  const windowEnd = outputFramesFor(preRoll + taskFrames + postRoll);
+  const storedEnd =
+    job.overlap.mode === OverlapMode.CROSSFADE ? windowEnd : chunkEnd;
+  const frameBytes = job.channels * FLOAT_SIZE;
+
+  const taskId = nextTaskId++;
+  const task = {
+    id: taskId,
+    jobId: job.id,
+    chunkIndex: job.totalTasks,
+    frameOffset,
+    frames: taskFrames,
+    readOffset: frameOffset - preRoll, // The window sent to the client
+    readFrames: preRoll + taskFrames + postRoll,
+    preRoll,
+    postRoll,
+    resultLength: windowEnd * frameBytes, // Size of the result the client sends back
+    resultStart: preRollEnd * frameBytes, // Where the stored part of that result starts
+    outputOffset: job.outputBytes, // Byte offset of this chunk's result in the job's results file
+    outputLength: (storedEnd - preRollEnd) * frameBytes, // Stored bytes, tail included
+    tailLength: (storedEnd - chunkEnd) * frameBytes, // Post-roll result kept for the crossfade
+    operation: job.operation,
+    sampleRate: job.sampleRate,
+    channels: job.channels,
+    layout: job.layout,
+    status: TaskStatus.PENDING,
+    assignedTo: null,
+    assignmentTime: null,
+    inputHash: null, // Hash of the samples last sent out (see getTaskPayload)
+    firstResult: null, // { peerId, resultHash } while waiting for a confirming result
+    speculativePeerId: null, // Client working on a second copy of a straggling task
+    speculativeTime: null,
+    failedAttempts: 0, // Crashes, timeouts and bad results so far (see recordTaskFailure)
+    lastError: null,
+  };
+  job.tasks.set(taskId, task);
+  job.pendingTasks.add(task);
+  tasks.set(taskId, task);
+  job.totalTasks++;
+  job.nextFrame += taskFrames;
+  job.outputBytes += task.outputLength;
+  return task;
+}
+
+// Frames for the next adaptive chunk handed to `peerId`: about targetSeconds of work at
+// the client's measured speed, more when its network round trips are slow. Until a client
+// has sent a result, its handshake benchmark stands in for the measured speed; clients
+// without either get a chunkSamples-sized probe.
+function chooseChunkFrames(job, peerId) {
+  const { minSamples, maxSamples, targetSeconds } = job.chunking;
+  const stats = peerStats.get(peerId);
+  const capabilities = peerCapabilities.get(peerId);
+  let frames = job.chunkSamples;
+  if (stats) {
+    const seconds = Math.max(
+      targetSeconds,
+      (stats.networkMs / 1000) * NETWORK_OVERHEAD_FACTOR
+    );
+    frames = Math.round(stats.framesPerSecond * seconds);
+  } else if (capabilities && capabilities.framesPerSecond) {
+    frames = Math.round(capabilities.framesPerSecond * targetSeconds);
+  }
+  frames = Math.min(maxSamples, Math.max(minSamples, frames));
+
+  // Don't leave a sliver smaller than minSamples at the end of the input
+  const remaining = job.totalFrames - job.nextFrame;
+  if (remaining - frames < minSamples) frames = remaining;
+  return frames;
+}
+
+// Updates a client's measured speed from an accepted result. processingMs is the time
+// the client reports it spent on the chunk; the rest of the round trip is network time.
+function recordPeerTiming(peerId, task, processingMs) {
+  if (peerId === null || !task.assignmentTime) return;
+  const roundTripMs = Date.now() - task.assignmentTime;
+  const workMs = Math.max(
+    1,
+    typeof processingMs === "number" ? processingMs : roundTripMs
+  );
+  const sample = {
+    framesPerSecond: task.readFrames / (workMs / 1000),
+    networkMs: Math.max(0, roundTripMs - workMs),
+  };
+  const stats = peerStats.get(peerId);
+  if (!stats) {
+    peerStats.set(peerId, sample);
+    return;
+  }
+  for (const key of Object.keys(sample)) {
+    stats[key] =
+      stats[key] * (1 - PEER_STATS_WEIGHT) + sample[key] * PEER_STATS_WEIGHT;
+  }
+}
+
+// True once every frame of the input has been cut and every chunk has a result or was
+// given up on.
+function isEveryChunkDone(job) {
+  return (
+    job.nextFrame >= job.totalFrames &&
+    job.completedTasks + job.failedChunks.length === job.totalTasks
   );
 }
 
+// Running jobs in the order tasks should be taken from them: higher priorities first. In
+// interleaved mode the starting job rotates on every call so jobs of the same priority
+// each get their share of the clients.
+function getJobsInSchedulingOrder() {
+  let runningJobs = Array.from(jobs.values()).filter(
+    (job) => job.status === JobStatus.RUNNING
+  );
+  if (schedulingMode === "interleaved" && runningJobs.length > 1) {
+    const offset = roundRobinOffset++ % runningJobs.length;
+    runningJobs = runningJobs
+      .slice(offset)
+      .concat(runningJobs.slice(0, offset));
+  }
+  // The sort is stable, so the rotation survives among jobs of the same priority
+  return runningJobs.sort((a, b) => b.priority - a.priority);
+}
+
+// --- Client Capabilities ---
+// Records what a connected client reported in its handshake. capabilities may be
+// missing (older clients): such clients only get jobs without a placement.
+// concurrency is how many tasks the server lets the client have in flight.
+function registerPeer(
+  peerId,
+  { clientId, nickname, capabilities, concurrency }
+) {
+  const reported =
+    capabilities && typeof capabilities === "object" ? capabilities : {};
+  const positiveNumber = (value) =>
+    typeof value === "number" && value > 0 ? value : null;
+  peerCapabilities.set(peerId, {
+    clientId: clientId || null,
+    nickname: nickname || null,
+    cores: positiveNumber(reported.cores),
+    workers: positiveNumber(reported.workers),
+    framesPerSecond: positiveNumber(reported.framesPerSecond),
+    operations: Array.isArray(reported.operations)
+      ? reported.operations.filter((name) => typeof name === "string")
+      : null,
+    concurrency: positiveNumber(concurrency) || 1,
+  });
+}
+
+function unregisterPeer(peerId) {
+  peerCapabilities.delete(peerId);
+}
+
+// True when the client supports the job's operation and matches its placement.
+// Clients that did not report their operations are assumed to support all of them.
+function canPeerRunJob(job, peerId) {
+  const capabilities = peerCapabilities.get(peerId) || {};
+  if (
+    capabilities.operations &&
+    !operations
+      .getOperationNames(job.operation)
+      .every((name) => capabilities.operations.includes(name))
+  ) {
+    return false;
+  }
+
+  const placement = job.placement;
+  if (!placement) return true;
+  if (
+    placement.clientIds &&
+    !placement.clientIds.includes(capabilities.clientId) &&
+    !placement.clientIds.includes(capabilities.nickname)
+  ) {
+    return false;
+  }
+  if (placement.minCores && !(capabilities.cores >= placement.minCores)) {
+    return false;
+  }
+  if (
+    placement.minFramesPerSecond &&
+    !(capabilities.framesPerSecond >= placement.minFramesPerSecond)
+  ) {
+    return false;
+  }
+  return true;
+}
+
 function getNextTask(peerId) {
-  for (const [taskId, task] of tasks.entries()) {
-    if (task.status === TaskStatus.PENDING) {
-      task.status = TaskStatus.ASSIGNED;
-      task.assignedTo = peerId;
-      task.assignmentTime = Date.now();
-
-      const pendingCount = Array.from(tasks.values()).filter(
-        (t) => t.status === TaskStatus.PENDING
-      ).length;
-      console.log(
-        `[TaskManager] Task #${taskId} assigned to client #${peerId}. Remaining pending: ${pendingCount}`
-      );
-      return task;
+  if (isPeerFlagged(peerId)) {
+    console.warn(
+      `[TaskManager] 🚩 Not assigning tasks to flagged client #${peerId}.`
+    );
+    return null;
+  }
+
+  for (const job of getJobsInSchedulingOrder()) {
+    if (!canPeerRunJob(job, peerId)) continue;
+
+    for (const task of job.pendingTasks) {
+      // In redundant verification, a chunk's second result must come from another client
+      if (task.firstResult && task.firstResult.peerId === peerId) continue;
+      return assignTask(job, task, peerId);
+    }
+    if (
+      job.chunking.mode === ChunkingMode.ADAPTIVE &&
+      job.nextFrame < job.totalFrames
+    ) {
+      const task = cutTask(job, chooseChunkFrames(job, peerId));
+      journal.appendCuts(job, [task]);
+      return assignTask(job, task, peerId);
+    }
+    if (SPECULATIVE_EXECUTION && job.pendingTasks.size === 0) {
+      const straggler = getStraggler(job, peerId);
+      if (straggler) return assignSpeculativeCopy(job, straggler, peerId);
     }
   }
 
@@ -236,7 +1124,343 @@ function getNextTask(peerId) {
   return null;
 }
 
-function submitResult(taskId, resultBuffer) {
+function assignTask(job, task, peerId) {
+  task.status = TaskStatus.ASSIGNED;
+  task.assignedTo = peerId;
+  task.assignmentTime = Date.now();
+  job.pendingTasks.delete(task);
+  job.assignedTasks.add(task);
+
+  console.log(
+    `[TaskManager] Task #${task.id} (Job #${
+      job.id
+    }, ${task.frames.toLocaleString()} frames) assigned to client #${peerId}. Remaining pending: ${
+      job.pendingTasks.size
+    }`
+  );
+  return task;
+}
+
+// --- Timeouts and Stragglers ---
+// How long `peerId` should take to return `task`, from its measured speed or, before its
+// first result, its benchmark. The client's workers are shared by all the tasks it has in
+// flight, so a task may wait behind the others. Returns null when nothing is known.
+function getExpectedTaskMs(task, peerId) {
+  const stats = peerStats.get(peerId);
+  const capabilities = peerCapabilities.get(peerId) || {};
+  const framesPerSecond = stats
+    ? stats.framesPerSecond
+    : capabilities.framesPerSecond;
+  if (!framesPerSecond) return null;
+
+  const queueDepth = Math.ceil(
+    (capabilities.concurrency || 1) / (capabilities.workers || 1)
+  );
+  const processingMs = (task.readFrames / framesPerSecond) * 1000;
+  return processingMs * queueDepth + (stats ? stats.networkMs : 0);
+}
+
+// How long a task may stay assigned to `peerId` before it is re-queued: TIMEOUT_FACTOR
+// times the expected time, but never less than ASSIGNED_TIMEOUT_MS.
+function getTaskTimeoutMs(task, peerId) {
+  const expectedMs = getExpectedTaskMs(task, peerId);
+  if (expectedMs === null) return ASSIGNED_TIMEOUT_MS;
+  return Math.max(ASSIGNED_TIMEOUT_MS, expectedMs * TIMEOUT_FACTOR);
+}
+
+// The assigned task of `job` that is furthest behind, if it has taken STRAGGLER_FACTOR
+// times longer than expected and has no second copy yet. Never one of `peerId`'s own tasks.
+function getStraggler(job, peerId) {
+  const now = Date.now();
+  let straggler = null;
+  let worstDelay = 1;
+  for (const task of job.assignedTasks) {
+    if (task.assignedTo === peerId || task.speculativePeerId !== null) continue;
+    if (task.firstResult && task.firstResult.peerId === peerId) continue;
+    const expectedMs =
+      getExpectedTaskMs(task, task.assignedTo) ||
+      ASSIGNED_TIMEOUT_MS / TIMEOUT_FACTOR;
+    const delay = (now - task.assignmentTime) / (expectedMs * STRAGGLER_FACTOR);
+    if (delay > worstDelay) {
+      straggler = task;
+      worstDelay = delay;
+    }
+  }
+  return straggler;
+}
+
+// Hands a straggling task to a second client. The task stays assigned to its first client;
+// whichever result arrives first completes it and the other one is rejected as a duplicate.
+function assignSpeculativeCopy(job, task, peerId) {
+  task.speculativePeerId = peerId;
+  task.speculativeTime = Date.now();
+  console.log(
+    `[TaskManager] 🐢 Task #${task.id} (Job #${job.id}) is straggling on client #${task.assignedTo}; speculative copy assigned to client #${peerId}.`
+  );
+  return task;
+}
+
+// Takes `task` away from `peerId`, which disconnected or took too long (`problem`). If a
+// speculative copy is running elsewhere, that client takes the task over; otherwise the
+// failed attempt is counted (see recordTaskFailure). Returns true when it was re-queued.
+function releaseTask(task, peerId, problem) {
+  if (task.status !== TaskStatus.ASSIGNED) return false;
+  if (task.speculativePeerId === peerId) {
+    task.speculativePeerId = null;
+    task.speculativeTime = null;
+    return false;
+  }
+  if (task.assignedTo !== peerId) return false;
+
+  if (task.speculativePeerId !== null) {
+    task.assignedTo = task.speculativePeerId;
+    task.assignmentTime = task.speculativeTime;
+    task.speculativePeerId = null;
+    task.speculativeTime = null;
+    console.log(
+      `[TaskManager] 🔄 Task #${task.id} was taken from client #${peerId}; its speculative copy on client #${task.assignedTo} takes over.`
+    );
+    return false;
+  }
+  return recordTaskFailure(task, problem);
+}
+
+// The samples sent to the client, read from the input file and converted to float32
+// in the job's channel layout. Also records their hash in task.inputHash, which is sent
+// in the task header and must come back with the result.
+function getTaskPayload(task) {
+  const job = jobs.get(task.jobId);
+  const buffer = audioFormats.readFrames(
+    job.inputPath,
+    job.format,
+    task.readOffset,
+    task.readFrames
+  );
+  let payload = buffer;
+  if (task.layout !== audioFormats.ChannelLayout.INTERLEAVED) {
+    const samples = audioFormats.convertLayout(
+      audioFormats.bufferToFloat32(buffer),
+      task.channels,
+      audioFormats.ChannelLayout.INTERLEAVED,
+      task.layout
+    );
+    payload = audioFormats.float32ToBuffer(samples);
+  }
+  task.inputHash = hashChunk(payload);
+  return payload;
+}
+
+// Runs the task's operation on the server and returns the hash of the result, in the
+// same layout a client would send it back in.
+function computeExpectedResultHash(task) {
+  const payload = getTaskPayload(task);
+  const channelData = audioFormats.splitChannels(
+    audioFormats.bufferToFloat32(payload),
+    task.channels,
+    task.layout
+  );
+  const processed = operations.applyOperation(task.operation, channelData, {
+    sampleRate: task.sampleRate,
+    startFrame: task.readOffset,
+  });
+  return hashChunk(
+    audioFormats.float32ToBuffer(
+      audioFormats.joinChannels(processed, task.layout)
+    )
+  );
+}
+
+// --- Client Reports ---
+function flagPeer(peerId, problem) {
+  const report = peerReports.get(peerId) || {
+    badResults: 0,
+    lastProblem: null,
+    flaggedAt: null,
+  };
+  report.badResults++;
+  report.lastProblem = problem;
+  report.flaggedAt = Date.now();
+  peerReports.set(peerId, report);
+  console.warn(`[TaskManager] 🚩 Flagged client #${peerId}: ${problem}`);
+}
+
+function isPeerFlagged(peerId) {
+  return peerReports.has(peerId);
+}
+
+// Puts a task back in its job's queue (its result was rejected, or its client left or
+// took too long).
+function requeueTask(task) {
+  task.status = TaskStatus.PENDING;
+  task.assignedTo = null;
+  task.assignmentTime = null;
+  task.speculativePeerId = null;
+  task.speculativeTime = null;
+  const job = jobs.get(task.jobId);
+  if (job) {
+    job.assignedTasks.delete(task);
+    job.pendingTasks.add(task);
+  }
+}
+
+// --- Failed Attempts ---
+// Counts a failed attempt at a task (its client crashed, disconnected, timed out or sent
+// back a bad result) and puts the task back in the queue. Once it has failed more than
+// its job's retry.maxRetries times, it is quarantined instead, so a chunk that crashes
+// clients can't take them all down one after another. Returns true when it was re-queued.
+function recordTaskFailure(task, problem) {
+  task.failedAttempts++;
+  task.lastError = problem;
+  const job = jobs.get(task.jobId);
+  if (!job || task.failedAttempts <= job.retry.maxRetries) {
+    requeueTask(task);
+    return true;
+  }
+  quarantineTask(job, task);
+  return false;
+}
+
+function getFailureReport(task) {
+  return {
+    chunkIndex: task.chunkIndex,
+    frameOffset: task.frameOffset,
+    frames: task.frames,
+    attempts: task.failedAttempts,
+    lastError: task.lastError,
+  };
+}
+
+// Gives up on a task. Depending on the job's retry.onFailure, the job fails or goes on
+// without the chunk, which is left silent in the output.
+function quarantineTask(job, task) {
+  task.status = TaskStatus.FAILED;
+  task.assignedTo = null;
+  task.assignmentTime = null;
+  task.firstResult = null;
+  task.speculativePeerId = null;
+  task.speculativeTime = null;
+  job.pendingTasks.delete(task);
+  job.assignedTasks.delete(task);
+  job.failedChunks.push(getFailureReport(task));
+  console.error(
+    `[TaskManager] ☣️ Task #${task.id} (Job #${job.id}, chunk ${task.chunkIndex}) quarantined after ${task.failedAttempts} failed attempt(s). Last problem: ${task.lastError}`
+  );
+
+  if (job.retry.onFailure === FailurePolicy.FAIL_JOB) {
+    failJob(
+      job,
+      new Error(
+        `Chunk ${task.chunkIndex} (frames ${task.frameOffset}-${
+          task.frameOffset + task.frames
+        }) failed ${task.failedAttempts} time(s). Last problem: ${
+          task.lastError
+        }`
+      )
+    );
+    return;
+  }
+  journal.appendFailed(job, task);
+}
+
+// Writes a result to its slot in the job's results file. The write is synced, so a
+// journaled chunk always has its result on disk.
+function writeResultSlot(job, task, resultBuffer) {
+  const fd = fs.openSync(job.resultsPath, "r+");
+  try {
+    fs.writeSync(fd, resultBuffer, 0, resultBuffer.length, task.outputOffset);
+    fs.fdatasyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Writes an accepted result to its slot in the job's results file, then journals it.
+function spillResult(job, task, resultBuffer) {
+  writeResultSlot(job, task, resultBuffer);
+  journal.appendDone(job, task);
+}
+
+// The part of a client's result that is kept: results come back in the job's layout and
+// are stored interleaved like the input, without the pre-roll (see cutTask).
+function toStoredResult(task, resultBuffer) {
+  let interleaved = resultBuffer;
+  if (task.layout !== audioFormats.ChannelLayout.INTERLEAVED) {
+    interleaved = audioFormats.float32ToBuffer(
+      audioFormats.convertLayout(
+        audioFormats.bufferToFloat32(resultBuffer),
+        task.channels,
+        task.layout,
+        audioFormats.ChannelLayout.INTERLEAVED
+      )
+    );
+  }
+  return interleaved.subarray(
+    task.resultStart,
+    task.resultStart + task.outputLength
+  );
+}
+
+function rejectResult(job, task, problem, peerIdToFlag = null) {
+  console.warn(
+    `[TaskManager] ❌ Rejected result for Task #${task.id} (Job #${job.id}): ${problem}`
+  );
+  job.rejectedResults++;
+  if (peerIdToFlag !== null) {
+    flagPeer(peerIdToFlag, `Task #${task.id}: ${problem}`);
+  }
+}
+
+// Redundant verification: the first result of a chunk is parked in its slot until a
+// second client sends one. Matching results complete the chunk; otherwise the server
+// recomputes it to find out which client was wrong.
+// Returns true when the submitted result was accepted (parked or confirmed). Throws when
+// the chunk can't be recomputed or the result stored (handled in submitResult).
+function verifyRedundantResult(job, task, peerId, resultHash, resultBuffer) {
+  if (!task.firstResult) {
+    writeResultSlot(job, task, toStoredResult(task, resultBuffer));
+    task.firstResult = { peerId, resultHash };
+    requeueTask(task);
+    console.log(
+      `[TaskManager] 🔁 Task #${task.id} (Job #${job.id}): first result from client #${peerId} stored, waiting for a second client.`
+    );
+    return true;
+  }
+
+  const first = task.firstResult;
+  if (first.resultHash === resultHash) {
+    journal.appendDone(job, task); // The first result is already in its slot
+    completeTask(job, task);
+    return true;
+  }
+
+  const mismatch = "result disagreed with the server's recomputation";
+  const expectedHash = computeExpectedResultHash(task);
+  if (expectedHash === resultHash) {
+    rejectResult(job, task, mismatch, first.peerId);
+    spillResult(job, task, toStoredResult(task, resultBuffer));
+    completeTask(job, task);
+    return true;
+  }
+  rejectResult(job, task, mismatch, peerId);
+  if (expectedHash === first.resultHash) {
+    journal.appendDone(job, task);
+    completeTask(job, task);
+    return false;
+  }
+  // Neither result is right: start over with two new clients
+  rejectResult(job, task, mismatch, first.peerId);
+  task.firstResult = null;
+  recordTaskFailure(task, mismatch);
+  return false;
+}
+
+// submission.peerId        client that sent the result; it must hold the task
+// submission.inputHash     hash of the samples the client received (see protocol.js)
+// submission.resultHash    hash of the samples the client sent back
+// submission.processingMs  time the client spent processing the chunk
+// The hashes and timing are optional for clients using the older JSON submission.
+// Returns true when the result was accepted.
+function submitResult(taskId, resultBuffer, submission = {}) {
   const taskEntry = tasks.get(taskId);
   if (!taskEntry) {
     console.error(
@@ -259,227 +1483,462 @@ function submitResult(taskId, resultBuffer) {
     console.warn(`[TaskManager] ⚠️ Task #${taskId} already completed!`);
     return false;
   }
+  // A quarantined chunk is already counted in job.failedChunks; completing it as well
+  // would count it twice and keep the job from ever finishing
+  if (task.status === TaskStatus.FAILED) {
+    console.warn(
+      `[TaskManager] ⚠️ Task #${taskId} was quarantined; its late result is ignored.`
+    );
+    return false;
+  }
+  // Only the client holding the task, or its speculative copy, may complete it; anyone
+  // else would be submitting for a chunk handed to another client
+  const peerId = submission.peerId === undefined ? null : submission.peerId;
+  if (
+    peerId === null ||
+    (peerId !== task.assignedTo && peerId !== task.speculativePeerId)
+  ) {
+    console.warn(
+      `[TaskManager] ⛔ Client #${peerId} submitted a result for Task #${taskId}, which it does not hold. Ignoring.`
+    );
+    return false;
+  }
 
-  if (resultBuffer.length !== task.buffer.length) {
-    console.error(
-      `[TaskManager] ❌ Invalid result size for task #${taskId}: received ${resultBuffer.length}, expected ${task.buffer.length}`
+  const job = jobs.get(task.jobId);
+
+  const expectedLength = task.resultLength;
+  if (resultBuffer.length !== expectedLength) {
+    const problem = `invalid result size: received ${resultBuffer.length}, expected ${expectedLength}`;
+    rejectResult(job, task, problem);
+    recordTaskFailure(task, problem);
+    return false;
+  }
+
+  // Hashes catch results that were corrupted on the way or computed from the wrong
+  // samples; the chunk is simply handed out again.
+  const resultHash = hashChunk(resultBuffer);
+  if (submission.resultHash && submission.resultHash !== resultHash) {
+    rejectResult(job, task, "result does not match its hash");
+    recordTaskFailure(task, "result does not match its hash");
+    return false;
+  }
+  if (
+    submission.inputHash &&
+    task.inputHash &&
+    submission.inputHash !== task.inputHash
+  ) {
+    const problem = "result was computed from different input samples";
+    rejectResult(job, task, problem);
+    recordTaskFailure(task, problem);
+    return false;
+  }
+
+  if (
+    job.verification.mode === VerificationMode.REDUNDANT &&
+    task.firstResult &&
+    task.firstResult.peerId === peerId
+  ) {
+    console.warn(
+      `[TaskManager] ⚠️ Client #${peerId} already sent a result for Task #${taskId}; a different client must confirm it.`
     );
     return false;
   }
 
+  // Recomputing a chunk reads its input again and storing a result writes to disk; when
+  // either fails (e.g. the input was removed) the task loses an attempt, not the server
+  try {
+    if (
+      job.verification.mode === VerificationMode.SAMPLE &&
+      Math.random() < job.verification.fraction &&
+      computeExpectedResultHash(task) !== resultHash
+    ) {
+      const problem = "result disagreed with the server's recomputation";
+      rejectResult(job, task, problem, peerId);
+      recordTaskFailure(task, problem);
+      return false;
+    }
+    recordPeerTiming(peerId, task, submission.processingMs);
+    if (job.verification.mode === VerificationMode.REDUNDANT) {
+      return verifyRedundantResult(job, task, peerId, resultHash, resultBuffer);
+    }
+    spillResult(job, task, toStoredResult(task, resultBuffer));
+  } catch (error) {
+    const problem = `could not verify or store the result: ${error.message}`;
+    console.error(`[TaskManager] ❌ Task #${taskId}: ${problem}`);
+    // A parked redundant result can't be confirmed without the recomputation either
+    task.firstResult = null;
+    recordTaskFailure(task, problem);
+    return false;
+  }
+
+  completeTask(job, task);
+  return true;
+}
+
+function completeTask(job, task) {
   task.status = TaskStatus.DONE;
-  task.result = resultBuffer;
   task.assignedTo = null;
   task.assignmentTime = null;
-
-  const completedCount = Array.from(tasks.values()).filter(
-    (t) => t.status === TaskStatus.DONE
-  ).length;
-  const progressPercent = Math.floor((completedCount / tasks.size) * 100);
+  task.firstResult = null;
+  task.speculativePeerId = null;
+  task.speculativeTime = null;
+  job.pendingTasks.delete(task);
+  job.assignedTasks.delete(task);
+  job.completedTasks++;
+  job.completedFrames += task.frames;
+  const progressPercent = Math.floor(
+    (job.completedFrames / job.totalFrames) * 100
+  );
 
   console.log(
-    `[TaskManager] ✅ Task #${taskId} completed. Progress: ${completedCount}/${tasks.size} (${progressPercent}%)`
+    `[TaskManager] ✅ Task #${task.id} (Job #${job.id}) completed. Progress: ${job.completedTasks}/${job.totalTasks} chunks (${progressPercent}% of frames)`
   );
-
-  return true;
 }
 
-function isAllDone() {
-  const completedCount = Array.from(tasks.values()).filter(
-    (t) => t.status === TaskStatus.DONE
-  ).length;
-  const allDone = completedCount === tasks.size;
+// True once every task of the job has a result (the job may still need finalizing).
+function isJobDone(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || job.status !== JobStatus.RUNNING) return false;
 
-  const logInterval = Math.max(1, Math.floor(tasks.size / 100)); // Log for every 1% of tasks, or 100 tasks if many
-  if (completedCount % logInterval === 0 || allDone) {
+  const allDone = isEveryChunkDone(job);
+  const logInterval = Math.max(1, Math.floor(job.totalTasks / 100)); // Log for every 1% of tasks, or 100 tasks if many
+  if (job.completedTasks % logInterval === 0 || allDone) {
     console.log(
-      `[TaskManager] Completion status: ${completedCount}/${
-        tasks.size
-      } tasks (${Math.floor((completedCount / tasks.size) * 100)}%)`
+      `[TaskManager] Job #${job.id} completion status: ${job.completedTasks}/${
+        job.totalTasks
+      } tasks (${Math.floor((job.completedFrames / job.totalFrames) * 100)}%)`
     );
   }
 
   return allDone;
 }
 
-function checkAndRequeueStuckTasks() {
+// True when no job is queued, loading or running any more.
+function isAllDone() {
+  for (const job of jobs.values()) {
+    if (!isJobFinished(job)) return false;
+  }
+  return true;
+}
+
+// Takes tasks away from clients that have had them longer than getTaskTimeoutMs allows
+// (see releaseTask). Tasks of clients for which isPeerDetached(peerId) is true are left
+// alone: they may still come back with the results, and are released when their session
+// expires. Returns [{ task, peerId, requeued }] for every task taken away, peerId being
+// the client it was taken from.
+function checkAndRequeueStuckTasks({ isPeerDetached = () => false } = {}) {
   const now = Date.now();
-  let reQueuedCount = 0;
-
-  for (const [id, task] of tasks.entries()) {
-    if (task.status === TaskStatus.ASSIGNED && task.assignmentTime !== null) {
-      if (now - task.assignmentTime > ASSIGNED_TIMEOUT_MS) {
-        task.status = TaskStatus.PENDING; // Ensure using TaskStatus.PENDING
-        task.assignedTo = null;
-        task.assignmentTime = null;
-        reQueuedCount++;
+  const stuckTasks = [];
+
+  for (const job of jobs.values()) {
+    for (const task of Array.from(job.assignedTasks)) {
+      const stuckPeerId = task.assignedTo;
+      if (
+        now - task.assignmentTime <= getTaskTimeoutMs(task, stuckPeerId) ||
+        isPeerDetached(stuckPeerId)
+      ) {
+        continue;
+      }
+      const requeued = releaseTask(
+        task,
+        stuckPeerId,
+        `timed out on client #${stuckPeerId}`
+      );
+      if (requeued) {
         console.log(
-          `[TaskManager] 🔄 Task #${task.id} re-queued (was stuck for peer #${task.assignedTo}).`
+          `[TaskManager] 🔄 Task #${task.id} re-queued (was stuck for peer #${stuckPeerId}).`
         );
       }
+      stuckTasks.push({ task, peerId: stuckPeerId, requeued });
     }
   }
-  if (reQueuedCount > 0) {
-    console.log(`[TaskManager] Re-queued ${reQueuedCount} stuck task(s).`);
-  } else {
-    // console.log(`[TaskManager] No stuck tasks found to re-queue.`);
+  if (stuckTasks.length > 0) {
+    console.log(
+      `[TaskManager] Took ${stuckTasks.length} stuck task(s) away from their clients.`
+    );
   }
+  return stuckTasks;
 }
 
-function finalizeResults() {
-  if (!isAllDone()) {
-    console.error(`[TaskManager] ❌ Not all tasks completed! Cannot finalize.`);
+// Writes the job's output and marks it completed. Resolves once the output is on disk.
+async function finalizeResults(jobId) {
+  const job = jobs.get(jobId);
+  if (!job || !isJobDone(jobId)) {
+    console.error(
+      `[TaskManager] ❌ Not all tasks of Job #${jobId} completed! Cannot finalize.`
+    );
     return null;
   }
 
-  console.log(`[TaskManager] 🎯 Starting result finalization...`);
-  const startTime = Date.now();
-
-  const orderedResults = Array.from(tasks.values())
-    .sort((a, b) => a.chunkIndex - b.chunkIndex)
-    .map((task) => task.result);
-
-  console.log(
-    `[TaskManager] Collected ${orderedResults.length.toLocaleString()} results (each ${CHUNK_BYTES.toLocaleString()} bytes).`
-  );
-
-  const combinedBuffer = Buffer.concat(orderedResults);
-  console.log(
-    `[TaskManager] Combined into buffer of total size: ${(
-      combinedBuffer.length /
-      1024 /
-      1024
-    ).toFixed(1)} MB`
-  );
+  job.status = JobStatus.FINALIZING;
+  if (job.failedChunks.length > 0) {
+    console.warn(
+      `[TaskManager] ⚠️ Job #${job.id} completes with ${
+        job.failedChunks.length
+      } failed chunk(s) left silent: ${job.failedChunks
+        .map((report) => report.chunkIndex)
+        .join(", ")}`
+    );
+  }
+  try {
+    await writeJobResult(job);
+  } catch (error) {
+    failJob(job, error);
+    return null;
+  }
 
-  const floatArray = new Float32Array(combinedBuffer.length / FLOAT_SIZE);
-  new Uint8Array(floatArray.buffer).set(combinedBuffer);
+  job.status = JobStatus.COMPLETED;
+  job.completedAt = Date.now();
+  releaseJobTasks(job);
+  journal.writeJobManifest(job);
+  scheduleJobs();
+  return job.outputPath;
+}
 
-  console.log(
-    `[TaskManager] Float array: ${floatArray.length.toLocaleString()} elements.`
+// Yields the spilled results chunk by chunk as interleaved Float32Arrays, in order or,
+// with `reverse`, from the last chunk to the first with each one reversed frame by frame
+// (keeping the channel order inside each frame). Only one chunk is in memory. In
+// crossfade overlap mode, the start of each chunk is blended with the post-roll tail
+// stored by the chunk before it.
+async function* readResults(job, reverse) {
+  const orderedTasks = Array.from(job.tasks.values()).sort(
+    (a, b) => a.chunkIndex - b.chunkIndex
   );
+  const channels = job.channels;
+  const fd = await fs.promises.open(job.resultsPath, "r");
+  try {
+    for (let n = 0; n < orderedTasks.length; n++) {
+      const i = reverse ? orderedTasks.length - 1 - n : n;
+      const task = orderedTasks[i];
+      const chunkLength = task.outputLength - task.tailLength;
+      const chunk = Buffer.alloc(chunkLength);
+      // Quarantined chunks have no result and stay silent
+      if (task.status !== TaskStatus.FAILED) {
+        await fd.read(chunk, 0, chunkLength, task.outputOffset);
+      }
+      const samples = audioFormats.bufferToFloat32(chunk);
+
+      const previous = orderedTasks[i - 1];
+      if (
+        previous &&
+        previous.tailLength > 0 &&
+        previous.status !== TaskStatus.FAILED &&
+        task.status !== TaskStatus.FAILED
+      ) {
+        const tail = Buffer.alloc(previous.tailLength);
+        await fd.read(
+          tail,
+          0,
+          previous.tailLength,
+          previous.outputOffset + previous.outputLength - previous.tailLength
+        );
+        crossfadeInto(samples, audioFormats.bufferToFloat32(tail), channels);
+      }
 
-  console.log(`[TaskManager] Reversing array...`);
-  const reversedArray = new Float32Array(floatArray.length);
-  for (let i = 0; i < floatArray.length; i++) {
-    reversedArray[i] = floatArray[floatArray.length - 1 - i];
+      if (!reverse) {
+        yield samples;
+        continue;
+      }
+      const frames = samples.length / channels;
+      const reversed = new Float32Array(samples.length);
+      for (let frame = 0; frame < frames; frame++) {
+        const source = (frames - 1 - frame) * channels;
+        for (let c = 0; c < channels; c++) {
+          reversed[frame * channels + c] = samples[source + c];
+        }
+      }
+      yield reversed;
+    }
+  } finally {
+    await fd.close();
   }
+}
 
-  const reversedBuffer = Buffer.from(
-    reversedArray.buffer,
-    reversedArray.byteOffset,
-    reversedArray.byteLength
-  );
+// Linear crossfade from `tail` (the previous chunk's post-roll result) into the first
+// frames of `samples`, in place. Both are interleaved.
+function crossfadeInto(samples, tail, channels) {
+  const frames = Math.min(tail.length, samples.length) / channels;
+  for (let frame = 0; frame < frames; frame++) {
+    const weight = (frame + 1) / (frames + 1);
+    for (let c = 0; c < channels; c++) {
+      const index = frame * channels + c;
+      samples[index] = tail[index] * (1 - weight) + samples[index] * weight;
+    }
+  }
+}
 
+// Runs the job's finalization stages over the spilled results and writes the output
+// file (see finalization.js). Encrypted outputs are decrypted again to check them.
+async function writeJobResult(job) {
   console.log(
-    `[TaskManager] ✅ Array reversed. Resulting buffer size: ${(
-      reversedBuffer.length /
-      1024 /
-      1024
-    ).toFixed(1)} MB`
+    `[TaskManager] 🎯 Starting result finalization for Job #${job.id}...`
   );
-
-  console.log(`[TaskManager] Encrypting result with AES-256-CBC...`);
-  const encryptionKey = crypto.randomBytes(32);
-  const iv = crypto.randomBytes(16);
-  const cipher = crypto.createCipheriv("aes-256-cbc", encryptionKey, iv);
-
-  let encrypted = cipher.update(reversedBuffer);
-  encrypted = Buffer.concat([encrypted, cipher.final()]);
+  const startTime = Date.now();
   console.log(
-    `[TaskManager] ✅ Data encrypted. Encrypted size: ${(
-      encrypted.length /
+    `[TaskManager] Streaming ${job.totalTasks.toLocaleString()} results (${(
+      job.outputBytes /
       1024 /
       1024
-    ).toFixed(1)} MB`
+    ).toFixed(1)} MB) from ${
+      job.resultsPath
+    } through ${finalization.describeFinalization(job.finalization)}...`
   );
 
+  fs.mkdirSync(path.dirname(job.outputPath), { recursive: true });
+  let header;
   try {
-    fs.writeFileSync(ENCRYPTION_KEY_PATH, encryptionKey); // Use new path
-    fs.writeFileSync(ENCRYPTION_IV_PATH, iv); // Use new path
-    console.log(
-      `[TaskManager] Encryption keys saved to ${GENERATED_FILES_DIR}.`
-    );
-  } catch (error) {
-    console.error(`[TaskManager] ⚠️ Error saving keys:`, error.message);
-  }
-
-  const finalContent = Buffer.concat([iv, encrypted]);
-
-  try {
-    fs.writeFileSync(RESULT_FILE_PATH, finalContent);
-    const finalSize = fs.statSync(RESULT_FILE_PATH).size;
+    ({ header } = await finalization.writeOutput(job.finalization, {
+      readSamples: (reverse) => readResults(job, reverse),
+      source: {
+        sampleRate: operations.getOutputContext(job.operation, {
+          sampleRate: job.sampleRate,
+        }).sampleRate,
+        channels: job.channels,
+        frames: job.outputBytes / (job.channels * FLOAT_SIZE),
+      },
+      outputPath: job.outputPath,
+      encryption: job.encryption,
+      secrets: { passphrase: ENCRYPTION_PASSPHRASE },
+    }));
+
+    const finalSize = fs.statSync(job.outputPath).size;
     const duration = (Date.now() - startTime) / 1000;
 
-    console.log(`[TaskManager] 🎉 FINAL RESULT READY!`);
-    console.log(`[TaskManager] 📁 File: ${RESULT_FILE_PATH}`);
+    console.log(`[TaskManager] 🎉 FINAL RESULT READY for Job #${job.id}!`);
+    console.log(`[TaskManager] 📁 File: ${job.outputPath}`);
+    if (header) {
+      console.log(
+        `[TaskManager] 🔐 Encrypted with ${header.cipher} in ${
+          header.segmentBytes / 1024
+        } KB segments (data key protected by ${encryption.describeKey(
+          header.key
+        )})`
+      );
+    }
     console.log(
       `[TaskManager] 📊 Size: ${(finalSize / 1024 / 1024).toFixed(1)} MB`
     );
-    console.log(`[TaskManager] ⏱️  Processing time: ${duration.toFixed(1)}s`);
-
-    verifyDecryption();
+    console.log(`[TaskManager] ⏱️  Processing time: ${duration.toFixed(1)}s`);
   } catch (error) {
     console.error(`[TaskManager] ❌ Error writing result:`, error.message);
     throw error;
   }
 
-  return finalContent;
+  if (header) await verifyDecryption(job);
 }
 
-function verifyDecryption() {
+// Decrypts and decodes the output as a stream, authenticating every segment, and checks
+// it holds the frames its header announces. Throws when it doesn't, failing the job. Outputs for a
+// recipient key can't be checked here: only the recipient holds the private key.
+async function verifyDecryption(job) {
   try {
+    const { header, dataOffset } = encryption.readHeader(job.outputPath);
+    if (header.key.source === encryption.KeySource.RECIPIENT) {
+      console.log(
+        `[TaskManager] 🔒 Output encrypted for ${encryption.describeKey(
+          header.key
+        )}; skipping the decryption check.`
+      );
+      return;
+    }
     console.log(`[TaskManager] 🔍 Verifying decryption...`);
 
-    const key = fs.readFileSync(ENCRYPTION_KEY_PATH); // Use new path
-    const storedIv = fs.readFileSync(ENCRYPTION_IV_PATH); // Use new path
-
-    const encryptedFile = fs.readFileSync(RESULT_FILE_PATH);
-    const encryptedData = encryptedFile.slice(16); // Remove IV
-
-    const decipher = crypto.createDecipheriv("aes-256-cbc", key, storedIv);
-    let decrypted = decipher.update(encryptedData);
-    decrypted = Buffer.concat([decrypted, decipher.final()]);
+    const dataKey = encryption.unwrapDataKey(header.key, {
+      keyFile: job.encryption.keyFile,
+      passphrase: ENCRYPTION_PASSPHRASE,
+    });
 
-    const decryptedFloats = new Float32Array(
-      decrypted.buffer,
-      decrypted.byteOffset,
-      decrypted.byteLength / FLOAT_SIZE
+    const firstBytes = [];
+    let firstLength = 0;
+    let lastBytes = Buffer.alloc(0);
+    let totalBytes = 0;
+    const collect = (decrypted) => {
+      if (decrypted.length === 0) return;
+      totalBytes += decrypted.length;
+      if (firstLength < 5 * FLOAT_SIZE) {
+        firstBytes.push(decrypted);
+        firstLength += decrypted.length;
+      }
+      lastBytes = Buffer.concat([
+        lastBytes,
+        decrypted.slice(-5 * FLOAT_SIZE),
+      ]).slice(-5 * FLOAT_SIZE);
+    };
+
+    await pipeline(
+      fs.createReadStream(job.outputPath, { start: dataOffset }),
+      encryption.createDecryptStream(dataKey, header),
+      ...finalization.createDecodeStreams(header.audio),
+      async function (decrypted) {
+        for await (const chunk of decrypted) collect(chunk);
+      }
     );
 
-    console.log(
-      `[TaskManager] ✅ Decryption successful! Float elements: ${decryptedFloats.length.toLocaleString()}`
-    );
-    console.log(
-      `[TaskManager] 📋 First 5 values: [${Array.from(
-        decryptedFloats.slice(0, 5)
-      )
+    const expectedBytes =
+      header.audio.frames * header.audio.channels * FLOAT_SIZE;
+    if (totalBytes !== expectedBytes) {
+      throw new Error(
+        `Decoded ${totalBytes} bytes of samples, the header announces ${expectedBytes}.`
+      );
+    }
+
+    const toValues = (buffer) =>
+      Array.from(audioFormats.bufferToFloat32(buffer))
         .map((f) => f.toFixed(3))
-        .join(", ")}]`
-    );
+        .join(", ");
+    const first = Buffer.concat(firstBytes).slice(0, 5 * FLOAT_SIZE);
+
     console.log(
-      `[TaskManager] 📋 Last 5 values: [${Array.from(decryptedFloats.slice(-5))
-        .map((f) => f.toFixed(3))
-        .join(", ")}]`
+      `[TaskManager] ✅ Decryption successful! Every segment authenticated, float elements: ${(
+        totalBytes / FLOAT_SIZE
+      ).toLocaleString()}`
     );
+    console.log(`[TaskManager] 📋 First 5 values: [${toValues(first)}]`);
+    console.log(`[TaskManager] 📋 Last 5 values: [${toValues(lastBytes)}]`);
   } catch (error) {
     console.error(
       `[TaskManager] ❌ Decryption verification error:`,
       error.message
     );
+    throw error;
   }
 }
 
 module.exports = {
   generateDummyAudioFile,
+  addJob,
+  restoreJobs,
+  getJob,
+  cancelJob,
+  failJob,
+  getJobProgress,
+  setSchedulingMode,
+  setTasksReleasedHandler,
   loadChunks,
   getNextTask,
+  getTaskPayload,
   submitResult,
+  requeueTask,
+  registerPeer,
+  unregisterPeer,
+  isPeerFlagged,
+  isJobDone,
   isAllDone,
   finalizeResults,
   checkAndRequeueStuckTasks,
+  releaseTask,
+  jobs,
   tasks,
+  peerReports,
+  peerCapabilities,
+  TaskStatus,
+  JobStatus,
+  GENERATED_FILES_DIR,
+  FILE_PATH,
+  RESULT_FILE_PATH,
+  hasDefaultEncryptionKey,
   CHUNK_BYTES,
   FLOAT_SIZE,
+  SAMPLE_RATE,
   ACTUAL_TOTAL_SAMPLES,
 };
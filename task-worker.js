@@ -0,0 +1,109 @@
+// task-worker.js
+// Processes one task's samples. client.js runs it in worker threads (see worker-pool.js),
+// so a client works on as many chunks at once as it has workers.
+const { parentPort, isMainThread } = require("worker_threads");
+const operations = require("./operations");
+const audioFormats = require("./audio-formats");
+const protocol = require("./protocol");
+
+const FLOAT_SIZE = 4;
+
+// Runs the operation named in the task header on `samples` (a Buffer laid out as the
+// header says) and returns { result, inputHash, resultHash, processingMs }.
+// Throws when the samples don't match the header or the operation fails.
+function processTask(taskHeader, samples) {
+  const startTime = Date.now();
+  const channels = taskHeader.channels;
+  const expectedBytes = taskHeader.frames * FLOAT_SIZE * channels;
+  if (samples.length !== expectedBytes) {
+    throw new Error(
+      `Samples have an invalid length (${samples.length} bytes). Expected ${expectedBytes} (${taskHeader.frames} frames of ${channels} channel(s)).`
+    );
+  }
+
+  // Hash what we actually received; the server compares it with what it sent
+  const inputHash = protocol.hashChunk(samples);
+
+  // Split the samples into one array per channel
+  const channelData = audioFormats.splitChannels(
+    audioFormats.bufferToFloat32(samples),
+    channels,
+    taskHeader.layout
+  );
+  const processedChannels = operations.applyOperation(
+    taskHeader.operation,
+    channelData,
+    { sampleRate: taskHeader.sampleRate, startFrame: taskHeader.startFrame }
+  );
+  // Send the result back in the layout the task came in
+  const processed = audioFormats.joinChannels(
+    processedChannels,
+    taskHeader.layout
+  );
+  const result = Buffer.from(
+    processed.buffer,
+    processed.byteOffset,
+    processed.byteLength
+  );
+
+  return {
+    result,
+    inputHash,
+    resultHash: protocol.hashChunk(result),
+    processingMs: Date.now() - startTime,
+  };
+}
+
+// Frames per second one worker gets through, measured by running a low-pass filter over
+// a second of noise for about `durationMs`. Reported to the server in the handshake.
+function measureThroughput(durationMs = 200) {
+  const frames = 44100;
+  const noise = Buffer.alloc(frames * FLOAT_SIZE);
+  for (let i = 0; i < frames; i++) {
+    noise.writeFloatLE(Math.random() * 2 - 1, i * FLOAT_SIZE);
+  }
+  const taskHeader = {
+    operation: { name: "lowpass", params: { frequency: 1000 } },
+    frames,
+    channels: 1,
+    layout: audioFormats.ChannelLayout.INTERLEAVED,
+    sampleRate: 44100,
+  };
+
+  const startTime = Date.now();
+  let processedFrames = 0;
+  do {
+    processTask(taskHeader, Buffer.from(noise));
+    processedFrames += frames;
+  } while (Date.now() - startTime < durationMs);
+  return Math.round(processedFrames / ((Date.now() - startTime) / 1000));
+}
+
+// --- Worker Thread ---
+// Messages: { id, taskHeader, samples: Uint8Array } in, { id, result, inputHash,
+// resultHash, processingMs } or { id, error } out. Sample buffers are transferred, not copied.
+if (!isMainThread) {
+  parentPort.on("message", ({ id, taskHeader, samples }) => {
+    let output;
+    try {
+      output = processTask(
+        taskHeader,
+        Buffer.from(samples.buffer, samples.byteOffset, samples.byteLength)
+      );
+    } catch (error) {
+      parentPort.postMessage({ id, error: error.message });
+      return;
+    }
+    const result = new Uint8Array(
+      output.result.buffer,
+      output.result.byteOffset,
+      output.result.byteLength
+    );
+    parentPort.postMessage({ id, ...output, result }, [result.buffer]);
+  });
+}
+
+module.exports = {
+  processTask,
+  measureThroughput,
+};
@@ -0,0 +1,106 @@
+// worker-pool.js
+// A fixed number of worker threads running task-worker.js. Tasks wait in a queue until a
+// worker is idle; a worker that crashes or exits fails its task and is replaced.
+const { Worker } = require("worker_threads");
+const path = require("path");
+
+const WORKER_SCRIPT = path.join(__dirname, "task-worker.js");
+
+// Returns { size, run(taskHeader, samples), close() }. run() resolves with
+// { result, inputHash, resultHash, processingMs } (see task-worker.js).
+function createWorkerPool(size) {
+  const workers = new Set();
+  const idleWorkers = [];
+  const queue = []; // { id, taskHeader, samples, resolve, reject }
+  const running = new Map(); // Key: worker, Value: the queue entry it is working on
+  let nextRunId = 1;
+  let closing = false;
+
+  function startWorker() {
+    const worker = new Worker(WORKER_SCRIPT);
+    worker.unref(); // Idle workers don't keep the client running
+    workers.add(worker);
+
+    worker.on("message", (output) => {
+      const entry = running.get(worker);
+      running.delete(worker);
+      if (output.error) {
+        entry.reject(new Error(output.error));
+      } else {
+        entry.resolve({
+          ...output,
+          result: Buffer.from(
+            output.result.buffer,
+            output.result.byteOffset,
+            output.result.byteLength
+          ),
+        });
+      }
+      idleWorkers.push(worker);
+      dispatch();
+    });
+
+    // An uncaught error is followed by 'exit', which cleans up after the worker
+    let crashError = null;
+    worker.on("error", (error) => {
+      console.error(`🔥 Worker thread crashed: ${error.message}`);
+      crashError = error;
+    });
+
+    // Also covers workers that exit without an error (process.exit, out of memory)
+    worker.on("exit", (code) => {
+      workers.delete(worker);
+      const idleIndex = idleWorkers.indexOf(worker);
+      if (idleIndex !== -1) idleWorkers.splice(idleIndex, 1);
+      const entry = running.get(worker);
+      running.delete(worker);
+      if (entry) {
+        entry.reject(
+          crashError || new Error(`Worker thread exited with code ${code}.`)
+        );
+      }
+      if (closing) return;
+      if (!crashError) console.error(`🔥 Worker thread exited (code ${code}).`);
+      startWorker();
+      dispatch();
+    });
+
+    idleWorkers.push(worker);
+  }
+
+  // Hands queued tasks to idle workers
+  function dispatch() {
+    while (idleWorkers.length > 0 && queue.length > 0) {
+      const worker = idleWorkers.pop();
+      const entry = queue.shift();
+      running.set(worker, entry);
+      // Copy the samples out of the WebSocket frame so they can be transferred
+      const samples = new Uint8Array(entry.samples);
+      worker.postMessage(
+        { id: entry.id, taskHeader: entry.taskHeader, samples },
+        [samples.buffer]
+      );
+    }
+  }
+
+  function run(taskHeader, samples) {
+    return new Promise((resolve, reject) => {
+      queue.push({ id: nextRunId++, taskHeader, samples, resolve, reject });
+      dispatch();
+    });
+  }
+
+  function close() {
+    closing = true;
+    return Promise.all(Array.from(workers, (worker) => worker.terminate()));
+  }
+
+  for (let i = 0; i < size; i++) {
+    startWorker();
+  }
+  return { size, run, close };
+}
+
+module.exports = {
+  createWorkerPool,
+};